@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.10;
+
+contract Failures {
+    error Unauthorized(address caller, uint256 code);
+
+    uint256 public counter;
+
+    function increment() external returns (uint256) {
+        counter += 1;
+        return counter;
+    }
+
+    function failWithError(uint256 code) external {
+        counter += 1;
+        revert Unauthorized(msg.sender, code);
+    }
+
+    function failWithReason() external {
+        counter += 1;
+        require(counter == 0, "Counter must be zero");
+    }
+
+    function failWithoutReason() external {
+        counter += 1;
+        revert();
+    }
+
+    function failWithPanic() external {
+        counter += 1;
+        uint256[] memory values = new uint256[](1);
+        values[counter] = 1;
+    }
+
+    function burnGas() external {
+        while (true) {
+            counter += 1;
+        }
+    }
+
+    function checkCode(uint256 code) external view returns (uint256) {
+        if (code == 0) revert Unauthorized(msg.sender, code);
+        return code;
+    }
+}
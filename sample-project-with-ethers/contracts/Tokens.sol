@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.10;
+
+// Minimal token implementations, only meant to exercise the token helpers
+// (the receiver hooks of the safe transfers are not implemented).
+
+contract TestToken {
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    string public name = "Test Token";
+    string public symbol = "TT";
+    uint8 public decimals = 6;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    constructor(uint256 supply) {
+        totalSupply = supply;
+        balanceOf[msg.sender] = supply;
+        emit Transfer(address(0), msg.sender, supply);
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        require(allowance[from][msg.sender] >= value, "Insufficient allowance");
+        allowance[from][msg.sender] -= value;
+        _transfer(from, to, value);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 value) private {
+        require(balanceOf[from] >= value, "Insufficient balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
+
+contract TestNFT {
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    string public name = "Test NFT";
+    string public symbol = "TNFT";
+    mapping(uint256 => address) public ownerOf;
+    mapping(address => uint256) public balanceOf;
+    mapping(uint256 => address) public getApproved;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    function mint(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == address(0), "Already minted");
+        ownerOf[tokenId] = to;
+        balanceOf[to] += 1;
+        emit Transfer(address(0), to, tokenId);
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        require(ownerOf[tokenId] != address(0), "Not minted");
+        return "ipfs://test-nft";
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == msg.sender, "Not the owner");
+        getApproved[tokenId] = to;
+        emit Approval(msg.sender, to, tokenId);
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        require(ownerOf[tokenId] == from, "Not the owner");
+        require(
+            msg.sender == from || getApproved[tokenId] == msg.sender || isApprovedForAll[from][msg.sender],
+            "Not allowed"
+        );
+        getApproved[tokenId] = address(0);
+        ownerOf[tokenId] = to;
+        balanceOf[from] -= 1;
+        balanceOf[to] += 1;
+        emit Transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes calldata) external {
+        transferFrom(from, to, tokenId);
+    }
+}
+
+contract TestMultiToken {
+    event TransferSingle(
+        address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value
+    );
+    event TransferBatch(
+        address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values
+    );
+    event ApprovalForAll(address indexed account, address indexed operator, bool approved);
+
+    mapping(address => mapping(uint256 => uint256)) public balanceOf;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    function mint(address to, uint256 id, uint256 value) external {
+        balanceOf[to][id] += value;
+        emit TransferSingle(msg.sender, address(0), to, id, value);
+    }
+
+    function uri(uint256) external pure returns (string memory) {
+        return "ipfs://test-multi-token/{id}.json";
+    }
+
+    function balanceOfBatch(address[] calldata accounts, uint256[] calldata ids)
+        external view returns (uint256[] memory balances)
+    {
+        balances = new uint256[](accounts.length);
+        for (uint256 index = 0; index < accounts.length; index++) {
+            balances[index] = balanceOf[accounts[index]][ids[index]];
+        }
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes calldata) external {
+        _move(from, to, id, value);
+        emit TransferSingle(msg.sender, from, to, id, value);
+    }
+
+    function safeBatchTransferFrom(
+        address from, address to, uint256[] calldata ids, uint256[] calldata values, bytes calldata
+    ) external {
+        for (uint256 index = 0; index < ids.length; index++) {
+            _move(from, to, ids[index], values[index]);
+        }
+        emit TransferBatch(msg.sender, from, to, ids, values);
+    }
+
+    function _move(address from, address to, uint256 id, uint256 value) private {
+        require(msg.sender == from || isApprovedForAll[from][msg.sender], "Not allowed");
+        require(balanceOf[from][id] >= value, "Insufficient balance");
+        balanceOf[from][id] -= value;
+        balanceOf[to][id] += value;
+    }
+}
@@ -0,0 +1,68 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("abi codec", function () {
+  const recipient = "0x00000000000000000000000000000000000000AA";
+
+  async function deployFixture() {
+    const { contract: failures, address: failuresAddress } = await hre.common.deployContract("Failures", []);
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    return { failures, failuresAddress, events };
+  }
+
+  it("Should encode and decode parameters", function () {
+    const { abi } = hre.common;
+    const types = ["uint256", "(address to, uint256 amount)"];
+    const data = abi.encodeParameters(types, [1n, { to: recipient, amount: 2n }]);
+    expect(data).to.equal(
+      "0x" + "1".padStart(64, "0") + "aa".padStart(64, "0") + "2".padStart(64, "0")
+    );
+
+    const values = abi.decodeParameters(types, data);
+    expect(values[0]).to.equal(1n);
+    expect(values[1].to.toLowerCase()).to.equal(recipient.toLowerCase());
+    expect(values[1][1]).to.equal(2n);
+    expect(values[1].amount).to.equal(2n);
+  });
+
+  it("Should encode packed values and hash them", function () {
+    const { abi } = hre.common;
+    expect(abi.encodePacked(["uint8", "string"], [1, "hi"])).to.equal("0x016869");
+    expect(abi.keccak256("0x1234", "hex"))
+      .to.equal("0x56570de287d73cd1cb6092bb8fdee6173974955fdef345ae579ee9f475ea7432");
+    expect(abi.keccak256("")).to.equal("0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+    expect(abi.keccak256("0x1234", "hex")).to.equal(hre.common.keccak256(new Uint8Array([0x12, 0x34])));
+  });
+
+  it("Should encode calls and decode their data and results", async function () {
+    const { failures, failuresAddress } = await loadFixture(deployFixture);
+    const { abi } = hre.common;
+    const contractAbi = hre.common.getContractAbi(failures);
+
+    const calldata = abi.encodeFunctionData(contractAbi, "checkCode(uint256)", [5n]);
+    expect(calldata).to.equal(abi.keccak256("checkCode(uint256)").slice(0, 10) + "5".padStart(64, "0"));
+    const { name, signature, args } = abi.decodeFunctionData(contractAbi, calldata);
+    expect([name, signature, args[0], args.code]).to.deep.equal(["checkCode", "checkCode(uint256)", 5n, 5n]);
+
+    const returned = await hre.network.provider.send("eth_call", [{ to: failuresAddress, data: calldata }, "latest"]);
+    expect(abi.decodeFunctionResult(contractAbi, "checkCode", returned)).to.equal(5n);
+  });
+
+  it("Should encode the event topics", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const { abi } = hre.common;
+    const contractAbi = hre.common.getContractAbi(events);
+    const receipt = await (await hre.common.send(events, "deposit", [3])).wait();
+
+    const topics = abi.encodeEventTopics(contractAbi, "Deposited", { account: receipt.from });
+    expect(topics[0]).to.equal(abi.keccak256("Deposited(address,uint256)"));
+    expect(topics[1]).to.equal("0x" + receipt.from.slice(2).toLowerCase().padStart(64, "0"));
+    expect(abi.encodeEventTopics(contractAbi, "Deposited", [null])).to.deep.equal([topics[0], null]);
+
+    // The topics can be used as they are in raw queries.
+    const logs = await hre.network.provider.send("eth_getLogs", [{
+      address: hre.common.getContractAddress(events), topics, fromBlock: "0x0",
+    }]);
+    expect(logs.map((log) => log.transactionHash)).to.deep.equal([receipt.transactionHash]);
+  });
+});
@@ -0,0 +1,82 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("deployContract", function () {
+  async function deployLibraryFixture() {
+    const { contract: library, address: libraryAddress } = await hre.common.deployContract("MathLib", []);
+    return { library, libraryAddress };
+  }
+
+  it("Should deploy a contract linking its libraries by address", async function () {
+    const { libraryAddress } = await loadFixture(deployLibraryFixture);
+    const { contract, address, transaction } = await hre.common.deployContract("Doubler", [21], {
+      libraries: { MathLib: libraryAddress },
+    });
+
+    expect(await hre.common.call(contract, "doubled", [])).to.equal(42n);
+    expect(hre.common.getContractAddress(contract)).to.equal(address);
+    const receipt = await transaction.wait();
+    expect(receipt.status).to.equal("success");
+    expect(receipt.contractAddress).to.equal(address);
+  });
+
+  it("Should deploy a contract linking its libraries by instance and fully qualified name", async function () {
+    const { library } = await loadFixture(deployLibraryFixture);
+    const { contract } = await hre.common.deployContract("Doubler", [5], {
+      libraries: { "contracts/Doubler.sol:MathLib": library },
+      value: 1000n,
+    });
+
+    expect(await hre.common.call(contract, "doubled", [])).to.equal(10n);
+    expect(await hre.common.getBalance(hre.common.getContractAddress(contract))).to.equal(1000n);
+  });
+
+  it("Should deploy a contract from its artifact", async function () {
+    const { libraryAddress } = await loadFixture(deployLibraryFixture);
+    const artifact = await hre.artifacts.readArtifact("Doubler");
+    const { contract } = await hre.common.deployContract(artifact, [4], { libraries: { MathLib: libraryAddress } });
+
+    expect(await hre.common.call(contract, "doubled", [])).to.equal(8n);
+  });
+
+  it("Should fail when a library is missing", async function () {
+    await expect(hre.common.deployContract("Doubler", [4])).to.be.rejectedWith(/MathLib/);
+  });
+
+  it("Should fail when a library is not needed", async function () {
+    const { libraryAddress } = await loadFixture(deployLibraryFixture);
+    await expect(
+      hre.common.deployContract("Events", [], { libraries: { MathLib: libraryAddress } })
+    ).to.be.rejected;
+  });
+
+  it("Should throw a CommonContractError when the constructor reverts", async function () {
+    const { libraryAddress } = await loadFixture(deployLibraryFixture);
+    const error = await hre.common.deployContract("Doubler", [0], {
+      libraries: { MathLib: libraryAddress },
+    }).then(() => null, (e) => e);
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("require-string");
+    expect(error.reason).to.equal("Base must not be zero");
+  });
+
+  it("Should throw a CommonContractError when the mined deployment reverted", async function () {
+    const { libraryAddress } = await loadFixture(deployLibraryFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const deploying = hre.common.deployContract("Doubler", [0], {
+      libraries: { MathLib: libraryAddress }, gas: 500000,
+    }).then(() => null, (e) => e);
+    // Let the deployment transaction be sent before mining it.
+    while (!(await hre.network.provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await hre.common.network.mine();
+    await hre.network.provider.send("evm_setAutomine", [true]);
+
+    const error = await deploying;
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("require-string");
+    expect(error.native).to.not.equal(null);
+  });
+});
@@ -0,0 +1,67 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("event signatures", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    await hre.common.send(events, "ping", [3]);
+    const { contract: sample } = await hre.common.deployContract("SampleContract", []);
+    const foo = "0x" + "11".repeat(32);
+    await hre.common.send(sample, "fireSampleEvent", [foo, 2, -2, "first"]);
+    await hre.common.send(sample, "fireSampleEvent", [foo, 3, -2, "second"]);
+    return { events, sample };
+  }
+
+  function getData(logs) {
+    return logs.map((log) => log.args.data);
+  }
+
+  it("Should resolve events by their name", async function () {
+    const { sample } = await loadFixture(deployFixture);
+    expect(getData(await hre.common.getLogs(sample, "SampleEvent"))).to.deep.equal(["first", "second"]);
+    expect(getData(await hre.common.getLogs(sample, "SampleEvent", 0, "latest", [null, 2])))
+      .to.deep.equal(["first"]);
+  });
+
+  it("Should resolve events by their type-only or full signature", async function () {
+    const { sample } = await loadFixture(deployFixture);
+    for (const spec of [
+      "SampleEvent(bytes32,uint256,int256,string)",
+      "SampleEvent(bytes32 indexed foo, uint256 indexed bar, int256 indexed baz, string data)",
+      "event SampleEvent(bytes32 indexed foo, uint256 indexed bar, int256 indexed baz, string data)",
+    ]) {
+      expect(getData(await hre.common.getLogs(sample, spec, 0, "latest", { bar: 3 }))).to.deep.equal(["second"]);
+    }
+  });
+
+  it("Should resolve events by their topic0 hash", async function () {
+    const { sample } = await loadFixture(deployFixture);
+    const topic = hre.common.keccak256("SampleEvent(bytes32,uint256,int256,string)");
+    expect(getData(await hre.common.getLogs(sample, topic, 0, "latest", [null, null, -2])))
+      .to.deep.equal(["first", "second"]);
+  });
+
+  it("Should resolve overloaded events by their signature", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const [single] = await hre.common.getLogs(events, "Ping(uint256)");
+    const [double] = await hre.common.getLogs(events, "Ping(uint256 value, uint256 extra)");
+
+    expect(single.args.value).to.equal(3n);
+    expect(double.args.value).to.equal(3n);
+    expect(double.args.extra).to.equal(6n);
+  });
+
+  it("Should reject ambiguous names, listing the candidate signatures", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await expect(hre.common.getLogs(events, "Ping")).to.be.rejectedWith(
+      'Event "Ping" is ambiguous in the contract ABI. Use one of these signatures instead: ' +
+      "Ping(uint256), Ping(uint256,uint256)."
+    );
+  });
+
+  it("Should reject unknown events", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await expect(hre.common.getLogs(events, "Pong")).to.be.rejectedWith('Event "Pong" not found');
+    await expect(hre.common.getLogs(events, "Ping(address)")).to.be.rejectedWith("not found");
+  });
+});
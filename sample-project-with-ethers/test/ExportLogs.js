@@ -0,0 +1,73 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+describe("exportLogs", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    const account = hre.common.getAddress(await hre.common.getSigner(0));
+    const deposit = await (await hre.common.send(events, "deposit", [5])).wait();
+    const note = await (await hre.common.send(events, "note", ["a, \"quoted\" note"])).wait();
+    return { events, account, deposit, note };
+  }
+
+  it("Should export the logs to JSON Lines", async function () {
+    const { events, account, deposit, note } = await loadFixture(deployFixture);
+    const { count, format, file, content } = await hre.common.exportLogs(events);
+    expect([count, format, file]).to.deep.equal([2, "jsonl", null]);
+
+    const rows = content.trim().split("\n").map((line) => JSON.parse(line));
+    expect(rows).to.deep.equal([
+      {
+        blockNumber: Number(deposit.blockNumber), transactionHash: deposit.transactionHash,
+        transactionIndex: 0, logIndex: 0, event: "Deposited", signature: "Deposited(address,uint256)",
+        args: { account: rows[0].args.account, amount: "5" },
+      },
+      {
+        blockNumber: Number(note.blockNumber), transactionHash: note.transactionHash,
+        transactionIndex: 0, logIndex: 0, event: "Noted", signature: "Noted(string)",
+        args: { note: "a, \"quoted\" note" },
+      },
+    ]);
+    expect(rows[0].args.account.toLowerCase()).to.equal(account.toLowerCase());
+  });
+
+  it("Should export the logs to CSV", async function () {
+    const { events, note } = await loadFixture(deployFixture);
+    const { count, content } = await hre.common.exportLogs(events, ["Noted"], { format: "csv" });
+    expect(count).to.equal(1);
+    expect(content.split("\n")).to.deep.equal([
+      "blockNumber,transactionHash,transactionIndex,logIndex,event,signature,args.note,topics,data",
+      `${note.blockNumber},${note.transactionHash},0,0,Noted,Noted(string),"a, ""quoted"" note",,`,
+      "",
+    ]);
+  });
+
+  it("Should export the logs to a file, with the block timestamps", async function () {
+    const { events, deposit } = await loadFixture(deployFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "export-logs-"));
+    try {
+      const file = path.join(dir, "deposits.jsonl");
+      const result = await hre.common.exportLogs(events, "Deposited", { file, timestamps: true, chunkSize: 1 });
+      expect(result).to.deep.equal({ count: 1, file, format: "jsonl" });
+
+      const [row] = fs.readFileSync(file, { encoding: "utf8" }).trim().split("\n").map((line) => JSON.parse(line));
+      const block = await hre.network.provider.send("eth_getBlockByNumber", [
+        "0x" + deposit.blockNumber.toString(16), false,
+      ]);
+      expect(row.blockTimestamp).to.equal(Number(block.timestamp));
+      expect(row.args.amount).to.equal("5");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject unknown formats", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await expect(hre.common.exportLogs(events, null, { format: "xml" })).to.be.rejectedWith(
+      "Invalid export format: xml. Use one of: jsonl, csv"
+    );
+  });
+});
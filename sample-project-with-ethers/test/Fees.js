@@ -0,0 +1,146 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("fees", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    const recipient = hre.common.getAddress(await hre.common.getSigner(1));
+    return { events, recipient };
+  }
+
+  async function getTransaction(tx) {
+    return await hre.network.provider.request({ method: "eth_getTransactionByHash", params: [tx.hash] });
+  }
+
+  async function estimateTransfer(recipient) {
+    const from = hre.common.getAddress(await hre.common.getSigner(0));
+    return BigInt(await hre.network.provider.request({
+      method: "eth_estimateGas", params: [{ from, to: recipient, value: "0x3e8" }]
+    }));
+  }
+
+  afterEach(function () {
+    delete hre.network.config.fees;
+  });
+
+  it("Should compute the fees from the fee history", async function () {
+    await loadFixture(deployFixture);
+    const history = await hre.network.provider.request({ method: "eth_feeHistory", params: ["0xa", "latest", [50]] });
+    const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+    const feeData = await hre.common.getFeeData();
+    expect(feeData.type).to.equal("eip1559");
+    expect(feeData.gasPrice).to.equal(null);
+    expect(feeData.preset).to.equal("normal");
+    expect(feeData.percentile).to.equal(50);
+    expect(feeData.gasLimitMultiplier).to.equal(null);
+    expect(feeData.capped).to.equal(false);
+    expect(feeData.baseFeePerGas).to.equal(baseFeePerGas);
+    expect(feeData.maxPriorityFeePerGas > 0n).to.equal(true);
+    expect(feeData.maxFeePerGas).to.equal(
+      (baseFeePerGas * 15000n + 9999n) / 10000n + feeData.maxPriorityFeePerGas
+    );
+  });
+
+  it("Should apply the presets", async function () {
+    await loadFixture(deployFixture);
+    const slow = await hre.common.getFeeData("slow");
+    const fast = await hre.common.getFeeData({ preset: "fast", percentile: 75 });
+    expect(slow.preset).to.equal("slow");
+    expect(slow.percentile).to.equal(10);
+    expect(fast.preset).to.equal("fast");
+    expect(fast.percentile).to.equal(75);
+    expect(fast.maxFeePerGas - fast.maxPriorityFeePerGas).to.equal((fast.baseFeePerGas * 2n * 10000n + 9999n) / 10000n);
+    expect(slow.maxFeePerGas - slow.maxPriorityFeePerGas).to.equal((slow.baseFeePerGas * 11250n + 9999n) / 10000n);
+  });
+
+  it("Should reject invalid settings", async function () {
+    await loadFixture(deployFixture);
+    let error;
+    try {
+      await hre.common.getFeeData("urgent");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Unknown fee preset: urgent. Valid presets are: slow, normal, fast");
+    error = undefined;
+    try {
+      await hre.common.getFeeData({ percentile: 101 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("The fee percentile must be between 0 and 100: 101");
+  });
+
+  it("Should apply the caps", async function () {
+    await loadFixture(deployFixture);
+    const feeData = await hre.common.getFeeData({ caps: { maxFeePerGas: 1000n, maxPriorityFeePerGas: 2000n } });
+    expect(feeData.capped).to.equal(true);
+    expect(feeData.maxFeePerGas).to.equal(1000n);
+    expect(feeData.maxPriorityFeePerGas <= 1000n).to.equal(true);
+  });
+
+  it("Should compute legacy fees from the node's gas price", async function () {
+    await loadFixture(deployFixture);
+    const nodeGasPrice = BigInt(await hre.network.provider.request({ method: "eth_gasPrice", params: [] }));
+    const feeData = await hre.common.getFeeData({ legacy: true, preset: "fast" });
+    expect(feeData.type).to.equal("legacy");
+    expect(feeData.maxFeePerGas).to.equal(null);
+    expect(feeData.maxPriorityFeePerGas).to.equal(null);
+    expect(feeData.baseFeePerGas).to.equal(null);
+    expect(feeData.gasPrice).to.equal((nodeGasPrice * 12500n + 9999n) / 10000n);
+
+    const capped = await hre.common.getFeeData({ legacy: true, caps: { maxFeePerGas: 1000n } });
+    expect(capped.gasPrice).to.equal(1000n);
+    expect(capped.capped).to.equal(true);
+  });
+
+  it("Should send transactions with the computed fees", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const feeData = await hre.common.getFeeData("fast");
+    const tx = await hre.common.send(events, "deposit", [1], { fees: "fast" });
+    await tx.wait();
+    const details = await getTransaction(tx);
+    expect(BigInt(details.maxFeePerGas)).to.equal(feeData.maxFeePerGas);
+    expect(BigInt(details.maxPriorityFeePerGas)).to.equal(feeData.maxPriorityFeePerGas);
+  });
+
+  it("Should let explicit fees win", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [1], {
+      fees: "fast", maxFeePerGas: 50000000000n, maxPriorityFeePerGas: 1000000000n
+    });
+    await tx.wait();
+    const details = await getTransaction(tx);
+    expect(BigInt(details.maxFeePerGas)).to.equal(50000000000n);
+    expect(BigInt(details.maxPriorityFeePerGas)).to.equal(1000000000n);
+  });
+
+  it("Should multiply the estimated gas", async function () {
+    const { recipient } = await loadFixture(deployFixture);
+    const estimated = await estimateTransfer(recipient);
+    const tx = await hre.common.transfer(recipient, { value: 1000n, fees: { gasLimitMultiplier: 2 } });
+    await tx.wait();
+    expect(BigInt((await getTransaction(tx)).gas)).to.equal(estimated * 2n);
+
+    const explicit = await hre.common.transfer(recipient, { value: 1000n, gas: 30000n, fees: { gasLimitMultiplier: 2 } });
+    await explicit.wait();
+    expect(BigInt((await getTransaction(explicit)).gas)).to.equal(30000n);
+  });
+
+  it("Should use the network fee settings", async function () {
+    const { recipient } = await loadFixture(deployFixture);
+    hre.network.config.fees = { preset: "slow", gasLimitMultiplier: 2 };
+    expect((await hre.common.getFeeData()).preset).to.equal("slow");
+    expect((await hre.common.getFeeData("fast")).preset).to.equal("fast");
+
+    const estimated = await estimateTransfer(recipient);
+    const tx = await hre.common.transfer(recipient, { value: 1000n });
+    await tx.wait();
+    expect(BigInt((await getTransaction(tx)).gas)).to.equal(estimated * 2n);
+
+    const disabled = await hre.common.transfer(recipient, { value: 1000n, fees: false });
+    await disabled.wait();
+    expect(BigInt((await getTransaction(disabled)).gas)).to.not.equal(estimated * 2n);
+  });
+});
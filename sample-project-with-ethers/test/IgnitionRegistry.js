@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const path = require("path");
+const fs = require("fs");
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { HardhatArtifactResolver } = require("@nomicfoundation/hardhat-ignition/helpers");
+const { deploy, DeploymentResultType } = require("@nomicfoundation/ignition-core");
+
+describe("ignition registry", function () {
+  const deploymentId = "test-ignition-registry";
+
+  const RegistryModule = buildModule("RegistryModule", (m) => {
+    const failures = m.contract("Failures");
+    const proxy = m.contract("SimpleProxy", [failures]);
+    const proxied = m.contractAt("Failures", proxy, { id: "ProxiedFailures" });
+    m.call(failures, "increment", []);
+    return { failures, proxy, proxied };
+  });
+
+  function getDeploymentDir() {
+    return path.resolve(hre.config.paths.root, "ignition", "deployments", deploymentId);
+  }
+
+  // Deploys the module keeping its journal on disk (the ignition
+  // helpers don't do that for the in-process hardhat network).
+  before(async function () {
+    fs.rmSync(getDeploymentDir(), { recursive: true, force: true });
+    const result = await deploy({
+      config: {},
+      provider: hre.network.provider,
+      deploymentDir: getDeploymentDir(),
+      artifactResolver: new HardhatArtifactResolver(hre),
+      ignitionModule: RegistryModule,
+      deploymentParameters: {},
+      accounts: await hre.network.provider.send("eth_accounts", []),
+    });
+    expect(result.type).to.equal(DeploymentResultType.SUCCESSFUL_DEPLOYMENT);
+  });
+
+  after(function () {
+    fs.rmSync(getDeploymentDir(), { recursive: true, force: true });
+  });
+
+  it("Should list the deployments", async function () {
+    expect(await hre.ignition.listDeployments()).to.deep.include({ deploymentId, chainId: 31337n });
+  });
+
+  it("Should get the deployed addresses and contracts", async function () {
+    const addresses = await hre.ignition.getDeployedAddresses(deploymentId);
+    expect(Object.keys(addresses).sort()).to.deep.equal([
+      "RegistryModule#Failures", "RegistryModule#ProxiedFailures", "RegistryModule#SimpleProxy",
+    ]);
+
+    const failures = await hre.ignition.getDeployedContract("RegistryModule#Failures", deploymentId);
+    expect(hre.common.getContractAddress(failures).toLowerCase())
+      .to.equal(addresses["RegistryModule#Failures"].toLowerCase());
+    expect(await hre.common.call(failures, "counter", [])).to.equal(1n);
+
+    const contracts = await hre.ignition.getDeployedContracts("RegistryModule", deploymentId);
+    expect(Object.keys(contracts).sort()).to.deep.equal(["Failures", "ProxiedFailures", "SimpleProxy"]);
+    expect(await hre.common.call(contracts.ProxiedFailures, "checkCode", [3])).to.equal(3n);
+  });
+
+  it("Should merge the proxy and implementation ABIs of deployed contracts", async function () {
+    const byAddress = await hre.ignition.getDeployedContract("RegistryModule#SimpleProxy", deploymentId, {
+      implementation: true,
+    });
+    expect(await hre.common.call(byAddress, "counter", [])).to.equal(0n);
+    expect(await hre.common.call(byAddress, "proxyVersion", [])).to.equal(1n);
+
+    const byFutureId = await hre.ignition.getDeployedContract("RegistryModule#SimpleProxy", deploymentId, {
+      implementation: "RegistryModule#Failures",
+    });
+    expect(await hre.common.call(byFutureId, "checkCode", [5])).to.equal(5n);
+
+    const withProxy = await hre.ignition.getDeployedContract("RegistryModule#ProxiedFailures", deploymentId, {
+      proxy: "RegistryModule#SimpleProxy",
+    });
+    expect(await hre.common.call(withProxy, "proxyVersion", [])).to.equal(1n);
+    expect(await hre.common.call(withProxy, "checkCode", [6])).to.equal(6n);
+  });
+
+  it("Should fail when the implementation is not among the deployed contracts", async function () {
+    const error = await hre.ignition.getDeployedContract("RegistryModule#Failures", deploymentId, {
+      implementation: true,
+    }).then(() => null, (e) => e);
+    expect(error).to.be.instanceOf(hre.common.IgnitionDeploymentError);
+    expect(error.kind).to.equal("address-not-found");
+    expect(error.message).to.include("Give the implementation explicitly");
+  });
+
+  it("Should read the status of each future", async function () {
+    const futures = await hre.ignition.readDeploymentJournal(deploymentId);
+    const summary = Object.values(futures).map(({ futureId, type, status, transactionHash }) => ({
+      futureId, type, status, sent: transactionHash !== null,
+    })).sort((a, b) => a.futureId.localeCompare(b.futureId));
+    expect(summary).to.deep.equal([
+      { futureId: "RegistryModule#Failures", type: "deployment", status: "success", sent: true },
+      { futureId: "RegistryModule#Failures.increment", type: "call", status: "success", sent: true },
+      { futureId: "RegistryModule#ProxiedFailures", type: "contract-at", status: "success", sent: false },
+      { futureId: "RegistryModule#SimpleProxy", type: "deployment", status: "success", sent: true },
+    ]);
+  });
+
+  it("Should fail clearly for missing deployments, modules and contracts", async function () {
+    const { IgnitionDeploymentError } = hre.common;
+    const getError = (promise) => promise.then(() => null, (e) => e);
+
+    const noDeployment = await getError(hre.ignition.getDeployedContracts("RegistryModule", "missing"));
+    expect(noDeployment).to.be.instanceOf(IgnitionDeploymentError);
+    expect(noDeployment.kind).to.equal("deployment-not-found");
+
+    const noModule = await getError(hre.ignition.getDeployedContracts("OtherModule", deploymentId));
+    expect(noModule.kind).to.equal("module-not-found");
+    expect(noModule.moduleId).to.equal("OtherModule");
+
+    const noContract = await getError(hre.ignition.getDeployedContract("RegistryModule#Other", deploymentId));
+    expect(noContract.kind).to.equal("address-not-found");
+    expect(noContract.futureId).to.equal("RegistryModule#Other");
+  });
+});
@@ -0,0 +1,88 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("local network helpers", function () {
+  const stranger = "0x00000000000000000000000000000000000000aa";
+
+  async function deployFixture() {
+    const { contract: failures, address } = await hre.common.deployContract("Failures", []);
+    return { failures, address };
+  }
+
+  async function getBlockNumber() {
+    return BigInt(await hre.network.provider.send("eth_blockNumber", []));
+  }
+
+  it("Should tell the network is local", async function () {
+    expect(await hre.common.network.isLocal()).to.equal(true);
+  });
+
+  it("Should move the time ahead", async function () {
+    await loadFixture(deployFixture);
+    const { network } = hre.common;
+    const timestamp = await network.getTimestamp();
+    expect(typeof timestamp).to.equal("bigint");
+
+    await network.increaseTime(3600);
+    expect(await network.getTimestamp() >= timestamp + 3600n).to.equal(true);
+
+    await network.setNextBlockTimestamp(timestamp + 100000n);
+    await network.mine();
+    expect(await network.getTimestamp()).to.equal(timestamp + 100000n);
+  });
+
+  it("Should mine blocks", async function () {
+    await loadFixture(deployFixture);
+    const { network } = hre.common;
+    const blockNumber = await getBlockNumber();
+
+    await network.mine();
+    expect(await getBlockNumber()).to.equal(blockNumber + 1n);
+    await network.mine(10, { interval: 12 });
+    expect(await getBlockNumber()).to.equal(blockNumber + 11n);
+
+    // The mined blocks are 12 seconds apart.
+    const first = await hre.network.provider.send("eth_getBlockByNumber", ["0x" + (blockNumber + 2n).toString(16), false]);
+    expect(await network.getTimestamp()).to.equal(BigInt(first.timestamp) + 9n * 12n);
+  });
+
+  it("Should set balances, code and storage", async function () {
+    const { failures, address } = await loadFixture(deployFixture);
+    const { network } = hre.common;
+    await network.setBalance(stranger, 10n ** 18n);
+    expect(await hre.common.getBalance(stranger)).to.equal(10n ** 18n);
+
+    await network.setStorageAt(address, 0, 77n);
+    expect(await hre.common.call(failures, "counter", [])).to.equal(77n);
+
+    const code = await hre.network.provider.send("eth_getCode", [address, "latest"]);
+    await network.setCode(stranger, code);
+    const copy = await hre.common.getContractAt("Failures", stranger);
+    expect(await hre.common.call(copy, "checkCode", [5])).to.equal(5n);
+  });
+
+  it("Should impersonate accounts", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const { network } = hre.common;
+    await network.setBalance(stranger, 10n ** 18n);
+    const signer = await network.impersonate(stranger);
+    try {
+      const receipt = await (await hre.common.send(failures, "increment", [], { account: signer })).wait();
+      expect(receipt.from.toLowerCase()).to.equal(stranger);
+    } finally {
+      await network.stopImpersonating(stranger);
+    }
+    expect(await hre.common.call(failures, "counter", [])).to.equal(1n);
+  });
+
+  it("Should take and revert snapshots", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const { network } = hre.common;
+    const snapshotId = await network.snapshot();
+    await hre.common.send(failures, "increment", []);
+    expect(await hre.common.call(failures, "counter", [])).to.equal(1n);
+
+    await network.revert(snapshotId);
+    expect(await hre.common.call(failures, "counter", [])).to.equal(0n);
+  });
+});
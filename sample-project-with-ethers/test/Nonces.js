@@ -0,0 +1,202 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("nonces", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    const sender = hre.common.getAddress(await hre.common.getSigner(0));
+    return { events, sender };
+  }
+
+  async function getNonce(tx) {
+    const details = await hre.network.provider.request({ method: "eth_getTransactionByHash", params: [tx.hash] });
+    return Number(details.nonce);
+  }
+
+  // Without automine, each transaction would take the whole block gas limit.
+  const gas = 100000n;
+
+  async function getTransactionCount(address) {
+    return Number(await hre.network.provider.request({
+      method: "eth_getTransactionCount", params: [address, "latest"]
+    }));
+  }
+
+  // Fixtures revert the chain, so the local nonces must be resynced.
+  beforeEach(function () {
+    hre.common.nonces.disable();
+    hre.common.nonces.reset();
+  });
+
+  afterEach(async function () {
+    hre.common.nonces.disable();
+    hre.common.nonces.reset();
+    await hre.network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should hand out consecutive nonces to concurrent sends", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    const first = await getTransactionCount(sender);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const txs = await Promise.all([1, 2, 3].map(
+      (n) => hre.common.send(events, "deposit", [n], { gas, managedNonce: true })
+    ));
+    await hre.common.network.mine();
+
+    const nonces = await Promise.all(txs.map(getNonce));
+    expect([...nonces].sort((a, b) => a - b)).to.deep.equal([first, first + 1, first + 2]);
+    for (const tx of txs) {
+      expect((await tx.wait()).status).to.equal("success");
+    }
+    expect(await getTransactionCount(sender)).to.equal(first + 3);
+  });
+
+  it("Should manage every nonce when enabled", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    expect(hre.common.nonces.isEnabled()).to.equal(false);
+    hre.common.nonces.enable();
+    expect(hre.common.nonces.isEnabled()).to.equal(true);
+
+    const first = await getTransactionCount(sender);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const txs = await Promise.all([1, 2].map((n) => hre.common.send(events, "deposit", [n], { gas })));
+    await hre.common.network.mine();
+    expect((await Promise.all(txs.map(getNonce))).sort((a, b) => a - b)).to.deep.equal([first, first + 1]);
+
+    hre.common.nonces.disable();
+    expect(hre.common.nonces.isEnabled()).to.equal(false);
+  });
+
+  it("Should let an explicit nonce win", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    hre.common.nonces.enable();
+    const first = await getTransactionCount(sender);
+    const tx = await hre.common.send(events, "deposit", [1], { nonce: first });
+    await tx.wait();
+    expect(await getNonce(tx)).to.equal(first);
+    // The manager was not used, so it syncs from the node.
+    const next = await hre.common.send(events, "deposit", [2]);
+    await next.wait();
+    expect(await getNonce(next)).to.equal(first + 1);
+  });
+
+  it("Should resync the nonces after a failed send", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    const first = await getTransactionCount(sender);
+    // Two nonces are handed out but never used, so the next one is too high.
+    await hre.common.nonces.next(sender);
+    await hre.common.nonces.next(sender);
+    let failed = false;
+    try {
+      await hre.common.send(events, "deposit", [1], { managedNonce: true });
+    } catch (e) {
+      failed = true;
+    }
+    expect(failed).to.equal(true);
+
+    const tx = await hre.common.send(events, "deposit", [1], { managedNonce: true });
+    expect((await tx.wait()).status).to.equal("success");
+    expect(await getNonce(tx)).to.equal(first);
+  });
+
+  it("Should resync the nonces when reset", async function () {
+    const { sender } = await loadFixture(deployFixture);
+    const first = await getTransactionCount(sender);
+    expect(await hre.common.nonces.next(sender)).to.equal(first);
+    expect(await hre.common.nonces.next(sender)).to.equal(first + 1);
+    hre.common.nonces.reset(sender);
+    expect(await hre.common.nonces.next(sender)).to.equal(first);
+    expect(await hre.common.nonces.next(sender.toLowerCase())).to.equal(first + 1);
+  });
+
+  it("Should run the queued tasks with the given concurrency", async function () {
+    await loadFixture(deployFixture);
+    const queue = hre.common.createTransactionQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    const task = (value) => async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running--;
+      return value;
+    };
+    const results = [1, 2, 3, 4, 5].map((value) => queue.add(task(value)));
+    expect(queue.pending).to.equal(2);
+    expect(queue.size).to.equal(3);
+    await queue.onIdle();
+    expect(queue.pending).to.equal(0);
+    expect(queue.size).to.equal(0);
+    expect(maxRunning).to.equal(2);
+    expect(await Promise.all(results)).to.deep.equal([1, 2, 3, 4, 5]);
+  });
+
+  it("Should send queued transactions with managed nonces", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    const recipient = hre.common.getAddress(await hre.common.getSigner(1));
+    const before = await hre.common.getBalance(recipient);
+    const first = await getTransactionCount(sender);
+    const queue = hre.common.createTransactionQueue({ concurrency: 4 });
+    // The transactions might reach the node out of order.
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const txs = await Promise.all([
+      queue.transfer(recipient, { value: 1000n, gas: 21000n }),
+      queue.transfer(recipient, { value: 2000n, gas: 21000n }),
+      queue.send(events, "deposit", [3], { gas }),
+      queue.add(async () => await hre.common.transfer(recipient, { value: 4000n, gas: 21000n, managedNonce: true })),
+    ]);
+    await hre.common.network.mine();
+    expect((await hre.common.getBalance(recipient)) - before).to.equal(7000n);
+    const nonces = await Promise.all(txs.map(getNonce));
+    expect([...nonces].sort((a, b) => a - b)).to.deep.equal([first, first + 1, first + 2, first + 3]);
+    expect(await getTransactionCount(sender)).to.equal(first + 4);
+  });
+
+  it("Should replace a pending transaction", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const tx = await hre.common.send(events, "deposit", [1], { gas });
+    const original = await hre.network.provider.request({ method: "eth_getTransactionByHash", params: [tx.hash] });
+    const newTx = await hre.common.replaceTransaction(tx, { bumpPercent: 20 });
+    expect(newTx.hash).to.not.equal(tx.hash);
+
+    const replacement = await hre.network.provider.request({ method: "eth_getTransactionByHash", params: [newTx.hash] });
+    expect(replacement.nonce).to.equal(original.nonce);
+    expect(replacement.input).to.equal(original.input);
+    expect(replacement.to).to.equal(original.to);
+    expect(BigInt(replacement.maxFeePerGas) >= BigInt(original.maxFeePerGas) * 120n / 100n).to.equal(true);
+
+    await hre.common.network.mine();
+    expect((await newTx.wait()).status).to.equal("success");
+    expect(await hre.network.provider.request({ method: "eth_getTransactionReceipt", params: [tx.hash] })).to.equal(null);
+  });
+
+  it("Should cancel a pending transaction", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const tx = await hre.common.send(events, "deposit", [1], { gas });
+    const cancelTx = await hre.common.cancelTransaction(tx.hash);
+
+    const cancelling = await hre.network.provider.request({ method: "eth_getTransactionByHash", params: [cancelTx.hash] });
+    expect(cancelling.to.toLowerCase()).to.equal(sender.toLowerCase());
+    expect(BigInt(cancelling.value)).to.equal(0n);
+    expect(cancelling.input).to.equal("0x");
+
+    await hre.common.network.mine();
+    expect((await cancelTx.wait()).status).to.equal("success");
+    expect(await hre.network.provider.request({ method: "eth_getTransactionReceipt", params: [tx.hash] })).to.equal(null);
+  });
+
+  it("Should not replace a mined transaction", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [1]);
+    await tx.wait();
+    let error;
+    try {
+      await hre.common.replaceTransaction(tx);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(`The transaction ${tx.hash} is already mined, so it cannot be replaced`);
+  });
+});
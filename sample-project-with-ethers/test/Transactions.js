@@ -0,0 +1,68 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("transactions", function () {
+  async function deployFixture() {
+    const { contract: events, address } = await hre.common.deployContract("Events", []);
+    const sender = hre.common.getAddress(await hre.common.getSigner(0));
+    return { events, address, sender };
+  }
+
+  it("Should return a transaction handle from send", async function () {
+    const { events, address, sender } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [5]);
+    expect(tx.hash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(tx.native).to.not.equal(undefined);
+
+    const receipt = await tx.wait();
+    expect(receipt.status).to.equal("success");
+    expect(receipt.transactionHash).to.equal(tx.hash);
+    expect(receipt.from.toLowerCase()).to.equal(sender.toLowerCase());
+    expect(receipt.to.toLowerCase()).to.equal(address.toLowerCase());
+    expect(receipt.contractAddress).to.equal(null);
+    expect(typeof receipt.gasUsed).to.equal("bigint");
+    expect(typeof receipt.effectiveGasPrice).to.equal("bigint");
+    expect(typeof receipt.blockNumber).to.equal("bigint");
+    expect(typeof receipt.transactionIndex).to.equal("number");
+    expect(receipt.native).to.not.equal(undefined);
+  });
+
+  it("Should get the receipt without waiting", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let tx;
+    try {
+      tx = await hre.common.send(events, "deposit", [5]);
+      expect(await tx.receipt()).to.equal(null);
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    await hre.common.network.mine();
+    expect((await tx.receipt()).status).to.equal("success");
+  });
+
+  it("Should get the logs of the transaction", async function () {
+    const { events, sender } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [5]);
+    await tx.wait();
+
+    const logs = await tx.logs(events, "Deposited");
+    expect(logs.length).to.equal(1);
+    expect(logs[0].args.account.toLowerCase()).to.equal(sender.toLowerCase());
+    expect(logs[0].args.amount).to.equal(5n);
+    expect(await hre.common.getTransactionLogs(events, tx, "Deposited")).to.deep.equal(logs);
+  });
+
+  it("Should return the same kind of handle from transfer", async function () {
+    await loadFixture(deployFixture);
+    const recipient = hre.common.getAddress(await hre.common.getSigner(1));
+    const before = await hre.common.getBalance(recipient);
+    const tx = await hre.common.transfer(recipient, { value: 1000n });
+
+    const receipt = await tx.wait();
+    expect(receipt.status).to.equal("success");
+    expect(receipt.transactionHash).to.equal(tx.hash);
+    expect(receipt.to.toLowerCase()).to.equal(recipient.toLowerCase());
+    expect(await hre.common.getBalance(recipient)).to.equal(before + 1000n);
+  });
+});
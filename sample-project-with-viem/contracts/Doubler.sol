@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.10;
+
+library MathLib {
+    function double(uint256 value) external pure returns (uint256) {
+        return value * 2;
+    }
+}
+
+contract Doubler {
+    uint256 public base;
+
+    constructor(uint256 base_) payable {
+        require(base_ != 0, "Base must not be zero");
+        base = base_;
+    }
+
+    function doubled() external view returns (uint256) {
+        return MathLib.double(base);
+    }
+}
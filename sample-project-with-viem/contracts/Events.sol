@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.10;
+
+contract Events {
+    event Deposited(address indexed account, uint256 amount);
+    event Noted(string note);
+    event Ping(uint256 value);
+    event Ping(uint256 value, uint256 extra);
+
+    function deposit(uint256 amount) external {
+        emit Deposited(msg.sender, amount);
+    }
+
+    function note(string memory text) external {
+        emit Noted(text);
+    }
+
+    function ping(uint256 value) external {
+        emit Ping(value);
+        emit Ping(value, value * 2);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.10;
+
+contract Outputs {
+    struct Point {
+        uint8 x;
+        int16 y;
+        string label;
+    }
+
+    function nothing() external pure {}
+
+    function single() external pure returns (uint8) {
+        return 7;
+    }
+
+    function many() external pure returns (uint256 amount, bool ok, bytes2) {
+        return (5, true, 0x1234);
+    }
+
+    function point() external pure returns (Point memory) {
+        return Point(1, -2, "origin");
+    }
+
+    function points() external pure returns (Point[] memory list, uint16[2] memory sizes) {
+        list = new Point[](2);
+        list[0] = Point(1, 2, "a");
+        list[1] = Point(3, -4, "b");
+        sizes = [uint16(10), 20];
+    }
+}
@@ -0,0 +1,8 @@
+import "hardhat/types/runtime";
+
+// The plugin has no typings: its features are reached through `hre.common`.
+declare module "hardhat/types/runtime" {
+  interface HardhatRuntimeEnvironment {
+    common: any;
+  }
+}
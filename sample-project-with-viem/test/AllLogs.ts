@@ -0,0 +1,76 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { getAddress } from "viem";
+
+describe("getAllLogs", function () {
+  async function deployEventsFixture() {
+    const [owner] = await hre.common.getSigners();
+    const { contract } = await hre.common.deployContract("Events", []);
+    const deposit = await (await hre.common.send(contract, "deposit", [5])).wait();
+    const note = await (await hre.common.send(contract, "note", ["hello"])).wait();
+    const ping = await (await hre.common.send(contract, "ping", [7])).wait();
+    return { contract, owner: getAddress(hre.common.getAddress(owner)), deposit, note, ping };
+  }
+
+  // The same expectations are checked by the ethers sample project,
+  // so both backends must produce this very same shape.
+  function summarize(log: any) {
+    return {
+      name: log.name,
+      args: log.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      transactionIndex: log.transactionIndex,
+      logIndex: log.logIndex,
+    };
+  }
+
+  it("Should decode all the events of the contract, sorted", async function () {
+    const { contract, owner, deposit, note, ping } = await loadFixture(deployEventsFixture);
+    const logs = await hre.common.getAllLogs(contract, 0, "latest");
+
+    expect(logs.map(summarize)).to.deep.equal([
+      {
+        name: "Deposited", args: { 0: owner, 1: 5n, account: owner, amount: 5n },
+        blockNumber: deposit.blockNumber, transactionHash: deposit.transactionHash, transactionIndex: 0, logIndex: 0,
+      },
+      {
+        name: "Noted", args: { 0: "hello", note: "hello" },
+        blockNumber: note.blockNumber, transactionHash: note.transactionHash, transactionIndex: 0, logIndex: 0,
+      },
+      {
+        name: "Ping", args: { 0: 7n, value: 7n },
+        blockNumber: ping.blockNumber, transactionHash: ping.transactionHash, transactionIndex: 0, logIndex: 0,
+      },
+      {
+        name: "Ping", args: { 0: 7n, 1: 14n, value: 7n, extra: 14n },
+        blockNumber: ping.blockNumber, transactionHash: ping.transactionHash, transactionIndex: 0, logIndex: 1,
+      },
+    ]);
+  });
+
+  it("Should return the block numbers as BigInt", async function () {
+    const { contract } = await loadFixture(deployEventsFixture);
+    const logs = await hre.common.getAllLogs(contract, 0, "latest");
+
+    for (const log of logs) {
+      expect(typeof log.blockNumber).to.equal("bigint");
+    }
+  });
+
+  it("Should only decode the requested events", async function () {
+    const { contract } = await loadFixture(deployEventsFixture);
+    const logs = await hre.common.getAllLogs(contract, 0, "latest", ["Noted", "Ping(uint256,uint256)"]);
+
+    expect(logs.map((log: any) => log.name)).to.deep.equal(["Noted", "Ping"]);
+    expect(logs[1].args.extra).to.equal(14n);
+  });
+
+  it("Should fetch the events in chunks", async function () {
+    const { contract } = await loadFixture(deployEventsFixture);
+    const logs = await hre.common.getAllLogs(contract, 0, "latest", null, { chunkSize: 1 });
+
+    expect(logs.map((log: any) => log.name)).to.deep.equal(["Deposited", "Noted", "Ping", "Ping"]);
+  });
+});
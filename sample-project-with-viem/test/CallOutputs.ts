@@ -0,0 +1,46 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("call outputs", function () {
+  async function deployFixture() {
+    const { contract: outputs } = await hre.common.deployContract("Outputs", []);
+    return { outputs };
+  }
+
+  it("Should return undefined for no outputs", async function () {
+    const { outputs } = await loadFixture(deployFixture);
+    expect(await hre.common.call(outputs, "nothing", [])).to.equal(undefined);
+  });
+
+  it("Should return a single output as a BigInt", async function () {
+    const { outputs } = await loadFixture(deployFixture);
+    expect(await hre.common.call(outputs, "single", [])).to.equal(7n);
+  });
+
+  it("Should index many outputs by position and by name", async function () {
+    const { outputs } = await loadFixture(deployFixture);
+    expect(await hre.common.call(outputs, "many", [])).to.deep.equal({
+      0: 5n, amount: 5n, 1: true, ok: true, 2: "0x1234",
+    });
+  });
+
+  it("Should convert structs and arrays, recursively", async function () {
+    const { outputs } = await loadFixture(deployFixture);
+    expect(await hre.common.call(outputs, "point", [])).to.deep.equal({
+      0: 1n, x: 1n, 1: -2n, y: -2n, 2: "origin", label: "origin",
+    });
+
+    const { list, sizes } = await hre.common.call(outputs, "points", []);
+    expect(Array.isArray(list)).to.equal(true);
+    expect(list.map(({ x, y, label }: any) => [x, y, label])).to.deep.equal([[1n, 2n, "a"], [3n, -4n, "b"]]);
+    expect(sizes).to.deep.equal([10n, 20n]);
+  });
+
+  it("Should keep the raw values when requested", async function () {
+    const { outputs } = await loadFixture(deployFixture);
+    // viem returns numbers for the small integers.
+    expect(await hre.common.call(outputs, "single", [], { raw: true })).to.equal(7);
+    expect(await hre.common.call(outputs, "many", [], { raw: true })).to.deep.equal([5n, true, "0x1234"]);
+  });
+});
@@ -0,0 +1,73 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { toCommonContractError } = require("hardhat-common-tools/src/errors/contract");
+
+describe("contract errors", function () {
+  async function deployFixture() {
+    const { contract: failures } = await hre.common.deployContract("Failures", []);
+    return { failures };
+  }
+
+  async function catchError(promise: Promise<any>): Promise<any> {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    throw new Error("The operation did not fail");
+  }
+
+  it("Should decode custom errors", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await catchError(hre.common.call(failures, "checkCode", [0]));
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("custom-error");
+    expect(error.errorName).to.equal("Unauthorized");
+    expect(error.errorArgs.code).to.equal(0n);
+  });
+
+  it("Should decode require messages", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    await hre.common.send(failures, "increment", []);
+    const error = await catchError(hre.common.send(failures, "failWithReason", []));
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("require-string");
+    expect(error.reason).to.equal("Counter must be zero");
+  });
+
+  it("Should decode panics", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await catchError(hre.common.send(failures, "failWithPanic", []));
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("panic");
+    expect(error.panicCode).to.equal(0x32n);
+  });
+
+  it("Should report reverts without data", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await catchError(hre.common.send(failures, "failWithoutReason", []));
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("revert");
+  });
+
+  it("Should report out of gas", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await catchError(hre.common.send(failures, "burnGas", [], { gas: 100000n }));
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("out-of-gas");
+  });
+
+  it("Should not take empty revert data as a revert reason", function () {
+    const outOfGas = toCommonContractError({ message: "Transaction ran out of gas", data: "0x" }, []);
+    expect(outOfGas.kind).to.equal("out-of-gas");
+
+    const reverted = toCommonContractError({ message: "execution reverted", data: "0x" }, []);
+    expect(reverted.kind).to.equal("revert");
+  });
+});
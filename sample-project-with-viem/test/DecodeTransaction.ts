@@ -0,0 +1,174 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import path from "path";
+import fs from "fs";
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { HardhatArtifactResolver } from "@nomicfoundation/hardhat-ignition/helpers";
+import { deploy, DeploymentResultType } from "@nomicfoundation/ignition-core";
+
+describe("decodeTransaction", function () {
+  const deploymentId = "test-decode-transaction";
+
+  const DecodingModule = buildModule("DecodingModule", (m) => {
+    const events = m.contract("Events");
+    return { events };
+  });
+
+  function getDeploymentDir() {
+    return path.resolve(hre.config.paths.root, "ignition", "deployments", deploymentId);
+  }
+
+  async function deployFixture() {
+    const { contract: events, address: eventsAddress, transaction } = await hre.common.deployContract("Events", []);
+    const { contract: failures } = await hre.common.deployContract("Failures", []);
+    const sender = hre.common.getAddress(await hre.common.getSigner(0));
+    return { events, eventsAddress, failures, sender, deployment: transaction };
+  }
+
+  // Deploys the module keeping its journal on disk, so its
+  // addresses are labelled.
+  before(async function () {
+    fs.rmSync(getDeploymentDir(), { recursive: true, force: true });
+    const result = await deploy({
+      config: {},
+      provider: hre.network.provider,
+      deploymentDir: getDeploymentDir(),
+      artifactResolver: new HardhatArtifactResolver(hre),
+      ignitionModule: DecodingModule,
+      deploymentParameters: {},
+      accounts: await hre.network.provider.send("eth_accounts", []),
+    });
+    expect(result.type).to.equal(DeploymentResultType.SUCCESSFUL_DEPLOYMENT);
+  });
+
+  after(function () {
+    fs.rmSync(getDeploymentDir(), { recursive: true, force: true });
+  });
+
+  it("Should decode the calldata and the logs", async function () {
+    const { events, eventsAddress, sender } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [5]);
+    const receipt = await tx.wait();
+
+    const decoded = await hre.common.decodeTransaction(tx);
+    expect(decoded.hash).to.equal(tx.hash);
+    expect(decoded.from.toLowerCase()).to.equal(sender.toLowerCase());
+    expect(decoded.to.toLowerCase()).to.equal(eventsAddress.toLowerCase());
+    expect(decoded.value).to.equal(0n);
+    expect(typeof decoded.nonce).to.equal("number");
+    expect(decoded.status).to.equal("success");
+    expect(decoded.blockNumber).to.equal(receipt.blockNumber);
+    expect(decoded.contractAddress).to.equal(null);
+    expect(decoded.revert).to.equal(null);
+    expect(decoded.call.name).to.equal("deposit");
+    expect(decoded.call.signature).to.equal("deposit(uint256)");
+    expect(decoded.call.selector).to.equal("0xb6b55f25");
+    expect(decoded.call.args.amount).to.equal(5n);
+    expect(decoded.logs.length).to.equal(1);
+    expect(decoded.logs[0].name).to.equal("Deposited");
+    expect(decoded.logs[0].args.amount).to.equal(5n);
+    expect(decoded.logs[0].address.toLowerCase()).to.equal(eventsAddress.toLowerCase());
+    expect(decoded.labels).to.deep.equal({});
+
+    expect((await hre.common.decodeTransaction(tx.hash)).call).to.deep.equal(decoded.call);
+  });
+
+  it("Should decode deployments and plain transfers", async function () {
+    const { eventsAddress, deployment } = await loadFixture(deployFixture);
+    const decodedDeployment = await hre.common.decodeTransaction(deployment);
+    expect(decodedDeployment.to).to.equal(null);
+    expect(decodedDeployment.call).to.equal(null);
+    expect(decodedDeployment.contractAddress.toLowerCase()).to.equal(eventsAddress.toLowerCase());
+
+    const recipient = hre.common.getAddress(await hre.common.getSigner(1));
+    const transfer = await hre.common.transfer(recipient, { value: 1000n });
+    await transfer.wait();
+    const decodedTransfer = await hre.common.decodeTransaction(transfer);
+    expect(decodedTransfer.call).to.equal(null);
+    expect(decodedTransfer.value).to.equal(1000n);
+    expect(decodedTransfer.logs).to.deep.equal([]);
+  });
+
+  it("Should keep the selector of unknown functions", async function () {
+    const { eventsAddress } = await loadFixture(deployFixture);
+    const from = hre.common.getAddress(await hre.common.getSigner(0));
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let hash: any;
+    try {
+      hash = await hre.network.provider.request({
+        method: "eth_sendTransaction", params: [{ from, to: eventsAddress, data: "0x12345678", gas: "0x186a0" }]
+      });
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    await hre.common.network.mine();
+
+    const decoded = await hre.common.decodeTransaction(hash);
+    expect(decoded.status).to.equal("reverted");
+    expect(decoded.call).to.deep.equal({ selector: "0x12345678", name: null, signature: null, args: null });
+  });
+
+  it("Should decode the revert reason", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let tx: any;
+    try {
+      tx = await hre.common.send(failures, "failWithError", [7], { gas: 100000 });
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    await hre.common.network.mine();
+
+    const decoded = await hre.common.decodeTransaction(tx);
+    expect(decoded.status).to.equal("reverted");
+    expect(decoded.call.name).to.equal("failWithError");
+    expect(decoded.revert).to.be.instanceOf(hre.common.CommonContractError);
+    expect(decoded.revert.kind).to.equal("custom-error");
+    expect(decoded.revert.errorName).to.equal("Unauthorized");
+    expect(decoded.revert.errorArgs.code).to.equal(7n);
+  });
+
+  it("Should decode pending transactions", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let decoded: any;
+    try {
+      const tx = await hre.common.send(events, "deposit", [1], { gas: 100000 });
+      decoded = await hre.common.decodeTransaction(tx);
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    await hre.common.network.mine();
+    expect(decoded.status).to.equal(null);
+    expect(decoded.blockNumber).to.equal(null);
+    expect(decoded.call.name).to.equal("deposit");
+    expect(decoded.logs).to.deep.equal([]);
+  });
+
+  it("Should label the addresses deployed by Ignition", async function () {
+    await loadFixture(deployFixture);
+    const addresses = await (hre.ignition as any).getDeployedAddresses(deploymentId);
+    const address = addresses["DecodingModule#Events"];
+    const events = await (hre.ignition as any).getDeployedContract("DecodingModule#Events", deploymentId);
+    const tx = await hre.common.send(events, "note", ["hello"]);
+    await tx.wait();
+
+    const decoded = await hre.common.decodeTransaction(tx);
+    expect(decoded.labels).to.deep.equal({ [decoded.to]: ["DecodingModule#Events"] });
+    expect(decoded.to.toLowerCase()).to.equal(address.toLowerCase());
+    expect(decoded.logs[0].name).to.equal("Noted");
+    expect(decoded.logs[0].args.note).to.equal("hello");
+  });
+
+  it("Should fail for unknown transactions", async function () {
+    const hash = "0x" + "00".repeat(32);
+    let error: any;
+    try {
+      await hre.common.decodeTransaction(hash);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(`The transaction ${hash} was not found`);
+  });
+});
@@ -0,0 +1,62 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("log cache", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    return { events };
+  }
+
+  async function getCachedAmounts(events: any, indexedArgs?: any[]) {
+    const logs = await hre.common.getLogs(events, "Deposited", 0, "latest", indexedArgs || [], { cache: true });
+    return logs.map((log: any) => log.args.amount);
+  }
+
+  beforeEach(async function () {
+    await hre.common.clearLogCache();
+  });
+
+  it("Should serve and extend the cached logs", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.common.send(events, "deposit", [1]);
+    expect(await getCachedAmounts(events)).to.deep.equal([1n]);
+
+    await hre.common.send(events, "deposit", [2], { account: 1 });
+    expect(await getCachedAmounts(events)).to.deep.equal([1n, 2n]);
+
+    const account = hre.common.getAddress(await hre.common.getSigner(1));
+    expect(await getCachedAmounts(events, [account])).to.deep.equal([2n]);
+  });
+
+  it("Should fetch again the blocks dropped by a reorg", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.common.send(events, "deposit", [1]);
+    const snapshot = await hre.network.provider.send("evm_snapshot", []);
+    await hre.common.send(events, "deposit", [2]);
+    await hre.common.send(events, "deposit", [3]);
+    await hre.common.send(events, "deposit", [4]);
+    expect(await getCachedAmounts(events)).to.deep.equal([1n, 2n, 3n, 4n]);
+
+    // The new chain is shorter, and differs below the cached tip.
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    await hre.common.send(events, "deposit", [5]);
+    await hre.common.send(events, "deposit", [6]);
+    expect(await getCachedAmounts(events)).to.deep.equal([1n, 5n, 6n]);
+  });
+
+  it("Should fetch again the blocks dropped by a longer reorg", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const snapshot = await hre.network.provider.send("evm_snapshot", []);
+    await hre.common.send(events, "deposit", [1]);
+    await hre.common.send(events, "deposit", [2]);
+    const to = await hre.network.provider.send("eth_blockNumber", []);
+    await hre.common.getLogs(events, "Deposited", 0, to, [], { cache: true });
+
+    await hre.network.provider.send("evm_revert", [snapshot]);
+    await hre.common.send(events, "deposit", [3]);
+    await hre.common.send(events, "deposit", [4]);
+    await hre.common.send(events, "deposit", [5]);
+    expect(await getCachedAmounts(events)).to.deep.equal([3n, 4n, 5n]);
+  });
+});
@@ -0,0 +1,90 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { iterateLogChunks, collectLogs } = require("hardhat-common-tools/src/eventLogs/chunks");
+
+describe("log chunks", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    for (const amount of [1, 2, 3, 4, 5]) {
+      await hre.common.send(events, "deposit", [amount]);
+    }
+    return { events };
+  }
+
+  function getAmounts(logs: any[]) {
+    return logs.map((log) => log.args.amount);
+  }
+
+  // Fetches fake logs (one per block), rejecting ranges wider than
+  // maxRange blocks, and failing transiently on the given calls.
+  function makeFetchRange(maxRange: bigint, failingCalls?: number[]) {
+    const calls: bigint[][] = [];
+    const fetchRange = async (from: bigint, to: bigint) => {
+      calls.push([from, to]);
+      if ((failingCalls || []).includes(calls.length)) throw new Error("429 Too Many Requests");
+      if (to - from + 1n > maxRange) throw new Error("block range is too large");
+      const logs: bigint[] = [];
+      for (let block = from; block <= to; block++) logs.push(block);
+      return logs;
+    };
+    return { fetchRange, calls };
+  }
+
+  it("Should get the same logs in chunks", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const logs = await hre.common.getLogs(events, "Deposited");
+    const chunked = await hre.common.getLogs(events, "Deposited", 0, "latest", [], { chunkSize: 2 });
+
+    expect(getAmounts(logs)).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+    expect(getAmounts(chunked)).to.deep.equal(getAmounts(logs));
+  });
+
+  it("Should iterate the logs", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const amounts: bigint[] = [];
+    for await (const log of hre.common.iterateLogs(events, "Deposited", 0, "latest", [], { chunkSize: 3 })) {
+      amounts.push(log.args.amount);
+    }
+    expect(amounts).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+
+    const all: bigint[] = [];
+    for await (const log of hre.common.iterateAllLogs(events, 0, "latest", null, { chunkSize: 1 })) {
+      all.push(log.args.amount);
+    }
+    expect(all).to.deep.equal(amounts);
+  });
+
+  it("Should reject non-positive chunk sizes", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await expect(hre.common.getLogs(events, "Deposited", 0, "latest", [], { chunkSize: 0 }))
+      .to.be.rejectedWith("The chunk size must be a positive number of blocks");
+  });
+
+  it("Should shrink the window when the range is rejected", async function () {
+    const { fetchRange, calls } = makeFetchRange(3n);
+    const logs = await collectLogs(iterateLogChunks(fetchRange, async (block: any) => BigInt(block), 0, 9, {
+      chunkSize: 8,
+    }));
+
+    expect(logs).to.deep.equal([0n, 1n, 2n, 3n, 4n, 5n, 6n, 7n, 8n, 9n]);
+    expect(calls.slice(0, 3)).to.deep.equal([[0n, 7n], [0n, 3n], [0n, 1n]]);
+  });
+
+  it("Should retry transient failures", async function () {
+    const { fetchRange, calls } = makeFetchRange(10n, [1, 2]);
+    const logs = await collectLogs(iterateLogChunks(fetchRange, async (block: any) => BigInt(block), 0, 3, {
+      chunkSize: 4, retryDelay: 1,
+    }));
+
+    expect(logs).to.deep.equal([0n, 1n, 2n, 3n]);
+    expect(calls).to.deep.equal([[0n, 3n], [0n, 3n], [0n, 3n]]);
+  });
+
+  it("Should give up after the retries", async function () {
+    const { fetchRange } = makeFetchRange(10n, [1, 2, 3]);
+    await expect(collectLogs(iterateLogChunks(fetchRange, async (block: any) => BigInt(block), 0, 3, {
+      chunkSize: 4, maxRetries: 2, retryDelay: 1,
+    }))).to.be.rejectedWith("429 Too Many Requests");
+  });
+});
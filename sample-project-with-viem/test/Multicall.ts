@@ -0,0 +1,53 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("multicall", function () {
+  async function deployFixture() {
+    const { contract: failures } = await hre.common.deployContract("Failures", []);
+    await hre.common.send(failures, "increment", []);
+    return { failures };
+  }
+
+  it("Should batch read calls", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const results = await hre.common.multicall([
+      { contract: failures, method: "counter", args: [] },
+      { contract: failures, method: "checkCode(uint256)", args: [7] },
+    ]);
+
+    expect(results.map((result: any) => result.success)).to.deep.equal([true, true]);
+    expect(results.map((result: any) => result.result)).to.deep.equal([1n, 7n]);
+    expect(results.map((result: any) => result.error)).to.deep.equal([null, null]);
+  });
+
+  it("Should report allowed failures as CommonContractError", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const [result] = await hre.common.multicall([
+      { contract: failures, method: "checkCode", args: [0], allowFailure: true },
+    ]);
+
+    expect(result.success).to.equal(false);
+    expect(result.result).to.equal(null);
+    expect(result.error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(result.error.kind).to.equal("custom-error");
+    expect(result.error.errorName).to.equal("Unauthorized");
+    expect(result.error.errorArgs.code).to.equal(0n);
+  });
+
+  it("Should throw when a failure is not allowed", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    await expect(hre.common.multicall([
+      { contract: failures, method: "checkCode", args: [0] },
+    ])).to.be.rejectedWith(hre.common.CommonContractError);
+  });
+
+  it("Should install Multicall3 when missing", async function () {
+    const address = "0xcA11bde05977b3631167028862bE2a173976CA11";
+    const { failures } = await loadFixture(deployFixture);
+    await hre.network.provider.send("hardhat_setCode", [address, "0x"]);
+    await hre.common.multicall([{ contract: failures, method: "counter", args: [] }]);
+
+    expect(await hre.network.provider.send("eth_getCode", [address, "latest"])).to.not.equal("0x");
+  });
+});
@@ -0,0 +1,104 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("named accounts", function () {
+  // An address which is not among the hardhat signers.
+  const whale: string = "0x00000000219ab540356cBB839Cbe05303d7705Fa";
+
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    const signers = await hre.common.getSigners();
+    const addresses = signers.map((signer: any) => hre.common.getAddress(signer).toLowerCase());
+    return { events, addresses };
+  }
+
+  async function expectError(fn: () => Promise<any>, message: string) {
+    let error: any;
+    try {
+      await fn();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(message);
+  }
+
+  before(function () {
+    (hre.config as any).namedAccounts = {
+      deployer: { default: 1, hardhat: 2 },
+      treasury: { default: 0, 31337: 3 },
+      owner: 4,
+      whale: { default: whale },
+      sepoliaOnly: { sepolia: 1 },
+      missing: 99,
+    };
+  });
+
+  after(function () {
+    delete (hre.config as any).namedAccounts;
+  });
+
+  it("Should resolve the names by network name, chain id or default", async function () {
+    const { addresses } = await loadFixture(deployFixture);
+    const address = async (name: string) => hre.common.getAddress(await hre.common.getSigner(name)).toLowerCase();
+    expect(await address("deployer")).to.equal(addresses[2]);
+    expect(await address("treasury")).to.equal(addresses[3]);
+    expect(await address("owner")).to.equal(addresses[4]);
+    expect(hre.common.getAddress(await hre.common.getSigner(0)).toLowerCase()).to.equal(addresses[0]);
+  });
+
+  it("Should get the addresses of the named accounts", async function () {
+    const { addresses } = await loadFixture(deployFixture);
+    const named: any = await hre.common.getNamedAccounts();
+    expect(Object.keys(named)).to.deep.equal(["deployer", "treasury", "owner", "whale"]);
+    expect(named.deployer.toLowerCase()).to.equal(addresses[2]);
+    expect(named.treasury.toLowerCase()).to.equal(addresses[3]);
+    expect(named.owner.toLowerCase()).to.equal(addresses[4]);
+    expect(named.whale).to.equal(whale);
+  });
+
+  it("Should send transactions from a named account", async function () {
+    const { events, addresses } = await loadFixture(deployFixture);
+    const tx = await hre.common.send(events, "deposit", [1], { account: "treasury" });
+    expect((await tx.wait()).from.toLowerCase()).to.equal(addresses[3]);
+
+    const recipient = hre.common.getAddress(await hre.common.getSigner(5));
+    const transfer = await hre.common.transfer(recipient, { value: 1000n, account: "owner" });
+    expect((await transfer.wait()).from.toLowerCase()).to.equal(addresses[4]);
+
+    const { transaction } = await hre.common.deployContract("Events", [], { account: "deployer" });
+    expect((await transaction.wait()).from.toLowerCase()).to.equal(addresses[2]);
+  });
+
+  it("Should impersonate named addresses on local networks", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.network.provider.request({ method: "hardhat_setBalance", params: [whale, "0xde0b6b3a7640000"] });
+    const signer = await hre.common.getSigner("whale");
+    expect(hre.common.getAddress(signer).toLowerCase()).to.equal(whale.toLowerCase());
+
+    const tx = await hre.common.send(events, "deposit", [1], { account: "whale" });
+    expect((await tx.wait()).from.toLowerCase()).to.equal(whale.toLowerCase());
+  });
+
+  it("Should fail for unknown, undefined or invalid names", async function () {
+    await loadFixture(deployFixture);
+    await expectError(() => hre.common.getSigner("nobody"), "Unknown named account: nobody");
+    await expectError(
+      () => hre.common.getSigner("sepoliaOnly"),
+      "The named account sepoliaOnly is not defined for the network: hardhat"
+    );
+    await expectError(
+      () => hre.common.getSigner("missing"),
+      "The named account missing refers to a missing account index: 99"
+    );
+    (hre.config as any).namedAccounts.broken = "not-an-address";
+    try {
+      await expectError(
+        () => hre.common.getSigner("broken"),
+        "The named account broken must be an account index or an address: not-an-address"
+      );
+    } finally {
+      delete (hre.config as any).namedAccounts.broken;
+    }
+  });
+});
@@ -0,0 +1,44 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("proxies", function () {
+  async function deployFixture() {
+    const { address: implementation } = await hre.common.deployContract("Failures", []);
+    const { address: proxy } = await hre.common.deployContract("SimpleProxy", [implementation]);
+    return { implementation, proxy };
+  }
+
+  it("Should merge the proxy and implementation ABIs", async function () {
+    const { proxy } = await loadFixture(deployFixture);
+    const contract = await hre.common.getContractAt("SimpleProxy", proxy, undefined, {
+      implementation: "Failures",
+    });
+    await hre.common.send(contract, "increment", []);
+
+    expect(await hre.common.call(contract, "counter", [])).to.equal(1n);
+    expect(await hre.common.call(contract, "proxyVersion", [])).to.equal(1n);
+  });
+
+  it("Should reject implementation: true outside Ignition", async function () {
+    const { proxy } = await loadFixture(deployFixture);
+    await expect(hre.common.getContractAt("SimpleProxy", proxy, undefined, {
+      implementation: true,
+    })).to.be.rejectedWith("only supported by hre.ignition.getDeployedContract");
+  });
+
+  it("Should get the proxy info from the EIP-1967 slots", async function () {
+    const { implementation, proxy } = await loadFixture(deployFixture);
+    const info = await hre.common.getProxyInfo(proxy);
+    expect(info.address.toLowerCase()).to.equal(proxy.toLowerCase());
+    expect(info.kind).to.equal("uups");
+    expect(info.implementation.toLowerCase()).to.equal(implementation.toLowerCase());
+    expect(info.admin).to.equal(null);
+    expect(info.beacon).to.equal(null);
+
+    const notProxy = await hre.common.getProxyInfo(implementation);
+    expect(notProxy.kind).to.equal(null);
+    expect(notProxy.implementation).to.equal(null);
+    await expect(hre.common.getProxyInfo("0x1234")).to.be.rejectedWith("Invalid address: 0x1234");
+  });
+});
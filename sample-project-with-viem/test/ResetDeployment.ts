@@ -0,0 +1,105 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import path from "path";
+import fs from "fs";
+const { getLogCacheDir } = require("hardhat-common-tools/src/eventLogs/cache");
+
+describe("resetDeployment", function () {
+  const deploymentId = "test-reset-deployment";
+
+  function getDeploymentDir() {
+    return path.resolve(hre.config.paths.root, "ignition", "deployments", deploymentId);
+  }
+
+  function writeJournal(messages: any[]) {
+    fs.mkdirSync(getDeploymentDir(), { recursive: true });
+    fs.writeFileSync(
+      path.resolve(getDeploymentDir(), "journal.jsonl"),
+      messages.map((message) => JSON.stringify(message)).join("\n") + "\n"
+    );
+  }
+
+  function isCached(address: string) {
+    return fs.existsSync(path.resolve(getLogCacheDir(hre), "31337", address.toLowerCase()));
+  }
+
+  async function deployFixture() {
+    const { contract: deployed, address: deployedAddress } = await hre.common.deployContract("Events", []);
+    const { contract: other, address: otherAddress } = await hre.common.deployContract("Events", []);
+    return { deployed, deployedAddress, other, otherAddress };
+  }
+
+  afterEach(async function () {
+    fs.rmSync(getDeploymentDir(), { recursive: true, force: true });
+    for (const backupId of await (hre.ignition as any).listDeploymentBackups(deploymentId)) {
+      fs.rmSync(path.resolve(hre.config.paths.root, "ignition", "deployment-backups", backupId), {
+        recursive: true, force: true,
+      });
+    }
+  });
+
+  it("Should only tell the files on dry runs", async function () {
+    writeJournal([{ type: "DEPLOYMENT_INITIALIZE", chainId: 31337 }]);
+    const result = await (hre.ignition as any).resetDeployment(deploymentId, { dryRun: true });
+
+    expect(result).to.deep.equal({ deploymentId, files: ["journal.jsonl"], backupId: null, dryRun: true });
+    expect(fs.existsSync(getDeploymentDir())).to.equal(true);
+  });
+
+  it("Should archive the deployment and restore it", async function () {
+    writeJournal([{ type: "DEPLOYMENT_INITIALIZE", chainId: 31337 }]);
+    const { backupId } = await (hre.ignition as any).resetDeployment(deploymentId);
+    expect(fs.existsSync(getDeploymentDir())).to.equal(false);
+    expect(await (hre.ignition as any).listDeploymentBackups(deploymentId)).to.deep.equal([backupId]);
+
+    expect(await (hre.ignition as any).restoreDeployment(deploymentId)).to.deep.equal({ deploymentId, backupId });
+    expect(fs.existsSync(path.resolve(getDeploymentDir(), "journal.jsonl"))).to.equal(true);
+    expect(await (hre.ignition as any).listDeploymentBackups(deploymentId)).to.deep.equal([]);
+  });
+
+  it("Should refuse to restore over an existing deployment, unless forced", async function () {
+    writeJournal([{ type: "DEPLOYMENT_INITIALIZE", chainId: 31337 }]);
+    const { backupId } = await (hre.ignition as any).resetDeployment(deploymentId);
+    writeJournal([{ type: "DEPLOYMENT_INITIALIZE", chainId: 31337 }, { type: "RUN_START" }]);
+    await expect((hre.ignition as any).restoreDeployment(deploymentId)).to.be.rejectedWith(
+      `Refusing to restore the deployment ${deploymentId}`
+    );
+
+    // Backup ids have a millisecond precision.
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await (hre.ignition as any).restoreDeployment(deploymentId, { backupId, force: true });
+    const journal = fs.readFileSync(path.resolve(getDeploymentDir(), "journal.jsonl"), { encoding: "utf8" });
+    expect(journal.trim().split("\n").length).to.equal(1);
+    // The replaced deployment was archived.
+    expect((await (hre.ignition as any).listDeploymentBackups(deploymentId)).length).to.equal(1);
+  });
+
+  it("Should clear only the cached logs of the deployment contracts", async function () {
+    const { deployed, deployedAddress, other, otherAddress } = await loadFixture(deployFixture);
+    await hre.common.getLogs(deployed, "Deposited", 0, "latest", [], { cache: true });
+    await hre.common.getLogs(other, "Deposited", 0, "latest", [], { cache: true });
+    writeJournal([
+      { type: "DEPLOYMENT_INITIALIZE", chainId: 31337 },
+      {
+        type: "DEPLOYMENT_EXECUTION_STATE_COMPLETE", futureId: "EventsModule#Events",
+        result: { type: "SUCCESS", address: deployedAddress },
+      },
+    ]);
+
+    const { files, backupId } = await (hre.ignition as any).resetDeployment(deploymentId, { backup: false });
+    expect(files).to.deep.equal(["journal.jsonl"]);
+    expect(backupId).to.equal(null);
+    expect(fs.existsSync(getDeploymentDir())).to.equal(false);
+    expect(isCached(deployedAddress)).to.equal(false);
+    expect(isCached(otherAddress)).to.equal(true);
+  });
+
+  it("Should refuse to reset deployments of non-local chains", async function () {
+    writeJournal([{ type: "DEPLOYMENT_INITIALIZE", chainId: 1 }]);
+    await expect((hre.ignition as any).resetDeployment(deploymentId, { backup: false })).to.be.rejectedWith(
+      "Refusing to reset the deployment"
+    );
+    expect(fs.existsSync(getDeploymentDir())).to.equal(true);
+  });
+});
@@ -0,0 +1,63 @@
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("signatures", function () {
+  const other = "0x00000000000000000000000000000000000000aa";
+
+  async function getTypedData() {
+    const owner = hre.common.getAddress(await hre.common.getSigner(0));
+    return {
+      domain: { name: "MyToken", version: "1", chainId: 31337, verifyingContract: other },
+      types: {
+        Permit: [
+          { name: "owner", type: "address" }, { name: "spender", type: "address" },
+          { name: "value", type: "uint256" }, { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      primaryType: "Permit",
+      message: { owner, spender: other, value: 100n, nonce: 0n, deadline: 1900000000n },
+    };
+  }
+
+  // The signatures are deterministic, so both backends must produce these.
+  const MESSAGE_SIGNATURE = "0xdc009b92222e2770cf41436a9969b014dd7881229daa3c9b2e425057363b8d2e" +
+    "638a8f065554383ca5f0c68b1af8a96b2f004356bb1af3feb91d14a8e819303f1c";
+  const RAW_MESSAGE_SIGNATURE = "0xce373ebed01e3f137847cfc1e66014554adc73d662f0de91a993d8c392decf60" +
+    "06abf85c6c1d4368cd8334593ba623c4cb8d39b63635bed384d75f137f6c43611c";
+  const TYPED_DATA_SIGNATURE = "0x4f7292df878f94a12ad53f66cbb4054a6d9c91b0893c4f434fc85ec03b988573" +
+    "1ddad060ff39e9d7da00d278993cb8b574672d79677acddd285e5e1a6381aad81b";
+
+  it("Should sign and verify messages", async function () {
+    const signer = hre.common.getAddress(await hre.common.getSigner(1));
+    const signature = await hre.common.signMessage("Hello World", 1);
+    expect(signature).to.equal(MESSAGE_SIGNATURE);
+    expect(hre.common.hashMessage("Hello World"))
+      .to.equal("0xa1de988600a42c4b4ab089b619297c17d53cffae5d5120d82d8a92d0bb3b78f2");
+
+    expect((await hre.common.recoverAddress("Hello World", signature)).toLowerCase()).to.equal(signer.toLowerCase());
+    expect(await hre.common.verifyMessage(signer, "Hello World", signature)).to.equal(true);
+    expect(await hre.common.verifyMessage(other, "Hello World", signature)).to.equal(false);
+    expect(await hre.common.verifyMessage(signer, "Hello world", signature)).to.equal(false);
+  });
+
+  it("Should sign raw bytes", async function () {
+    const signer = hre.common.getAddress(await hre.common.getSigner(1));
+    expect(await hre.common.signMessage({ raw: "0x1234" }, 1)).to.equal(RAW_MESSAGE_SIGNATURE);
+    expect(await hre.common.signMessage(new Uint8Array([0x12, 0x34]), 1)).to.equal(RAW_MESSAGE_SIGNATURE);
+    expect(await hre.common.verifyMessage(signer, { raw: "0x1234" }, RAW_MESSAGE_SIGNATURE)).to.equal(true);
+  });
+
+  it("Should sign and verify typed data", async function () {
+    const typedData = await getTypedData();
+    const owner = typedData.message.owner;
+    const signature = await hre.common.signTypedData(typedData, await hre.common.getSigner(0));
+    expect(signature).to.equal(TYPED_DATA_SIGNATURE);
+    expect(hre.common.hashTypedData(typedData))
+      .to.equal("0x61984ff26d8ab373ac862fbdac86c519bfb120a6695d472f4ac2be12c2546313");
+
+    expect((await hre.common.recoverTypedDataAddress(typedData, signature)).toLowerCase()).to.equal(owner.toLowerCase());
+    expect(await hre.common.verifyTypedData(owner, typedData, signature)).to.equal(true);
+    expect(await hre.common.verifyTypedData(other, typedData, signature)).to.equal(false);
+  });
+});
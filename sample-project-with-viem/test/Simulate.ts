@@ -0,0 +1,47 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("simulate and estimateGas", function () {
+  async function deployFixture() {
+    const { contract: failures } = await hre.common.deployContract("Failures", []);
+    await hre.common.send(failures, "increment", []);
+    return { failures };
+  }
+
+  it("Should simulate a state-changing method without sending it", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const blockNumber = await hre.network.provider.send("eth_blockNumber", []);
+
+    expect(await hre.common.simulate(failures, "increment", [], { account: 1 })).to.equal(2n);
+    expect(await hre.common.call(failures, "counter", [])).to.equal(1n);
+    expect(await hre.network.provider.send("eth_blockNumber", [])).to.equal(blockNumber);
+  });
+
+  it("Should report simulated failures as CommonContractError", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await hre.common.simulate(failures, "failWithError", [7]).then(() => null, (e: any) => e);
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("custom-error");
+    expect(error.errorArgs.code).to.equal(7n);
+  });
+
+  it("Should estimate the gas of a method", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const gas = await hre.common.estimateGas(failures, "increment", [], { account: 1 });
+    expect(typeof gas).to.equal("bigint");
+
+    const receipt = await (await hre.common.send(failures, "increment", [], { account: 1 })).wait();
+    expect(gas >= receipt.gasUsed).to.equal(true);
+  });
+
+  it("Should report failed estimations as CommonContractError", async function () {
+    const { failures } = await loadFixture(deployFixture);
+    const error = await hre.common.estimateGas(failures, "failWithReason", []).then(() => null, (e: any) => e);
+
+    expect(error).to.be.instanceOf(hre.common.CommonContractError);
+    expect(error.kind).to.equal("require-string");
+    expect(error.reason).to.equal("Counter must be zero");
+  });
+});
@@ -0,0 +1,85 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { parseArguments } = require("hardhat-common-tools/src/tasks/common");
+
+describe("tasks", function () {
+  const recipient = "0x00000000000000000000000000000000000000aa";
+
+  async function deployFixture() {
+    const { contract: failures, address: failuresAddress } = await hre.common.deployContract("Failures", []);
+    const { contract: events, address: eventsAddress } = await hre.common.deployContract("Events", []);
+    return { failures, failuresAddress, events, eventsAddress };
+  }
+
+  // Runs a task, returning what it printed.
+  async function runTask(name: string, args: any) {
+    const lines: string[] = [];
+    const log = console.log;
+    console.log = (line: string) => lines.push(line);
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return lines;
+  }
+
+  it("Should print balances", async function () {
+    await loadFixture(deployFixture);
+    await hre.common.network.setBalance(recipient, 12345n);
+    const [output] = await runTask("common:balance", { address: recipient });
+    expect(JSON.parse(output)).to.deep.equal({ address: recipient, balance: "12345" });
+
+    const signer = hre.common.getAddress(await hre.common.getSigner(1));
+    const [accountOutput] = await runTask("common:balance", { account: 1 });
+    expect(JSON.parse(accountOutput).address.toLowerCase()).to.equal(signer.toLowerCase());
+  });
+
+  it("Should transfer native tokens", async function () {
+    await loadFixture(deployFixture);
+    const before = await hre.common.getBalance(recipient);
+    const [output] = await runTask("common:transfer", { to: recipient, value: "1000", account: 1 });
+
+    expect(JSON.parse(output).status).to.equal("success");
+    expect(await hre.common.getBalance(recipient)).to.equal(before + 1000n);
+  });
+
+  it("Should call and send to contracts", async function () {
+    const { failures, failuresAddress } = await loadFixture(deployFixture);
+    const [sent] = await runTask("common:send", {
+      artifact: "Failures", address: failuresAddress, method: "increment", args: [],
+    });
+    expect(JSON.parse(sent).status).to.equal("success");
+    expect(await hre.common.call(failures, "counter", [])).to.equal(1n);
+
+    const [called] = await runTask("common:call", {
+      artifact: "Failures", address: failuresAddress, method: "checkCode(uint256)", args: ["7"],
+    });
+    expect(JSON.parse(called)).to.equal("7");
+  });
+
+  it("Should print the logs, one JSON per line", async function () {
+    const { events, eventsAddress } = await loadFixture(deployFixture);
+    await hre.common.send(events, "deposit", [5]);
+    await hre.common.send(events, "note", ["hello"]);
+
+    const lines = await runTask("common:logs", { artifact: "Events", address: eventsAddress });
+    expect(lines.map((line) => JSON.parse(line).name)).to.deep.equal(["Deposited", "Noted"]);
+    const [deposited] = await runTask("common:logs", {
+      artifact: "Events", address: eventsAddress, event: "Deposited", chunkSize: 1,
+    });
+    expect(JSON.parse(deposited).args.amount).to.equal("5");
+  });
+
+  it("Should parse the arguments against the inputs", function () {
+    const inputs = [
+      { type: "uint256[]", name: "values" },
+      { type: "tuple", name: "point", components: [{ type: "address", name: "to" }, { type: "bool", name: "ok" }] },
+    ];
+    expect(parseArguments(inputs, ["[1, \"2\"]", JSON.stringify({ to: recipient, ok: "true" })]))
+      .to.deep.equal([[1n, 2n], [recipient, true]]);
+    expect(() => parseArguments(inputs, ["[1]"])).to.throw("Expected 2 arguments, but 1 were given");
+    expect(() => parseArguments(inputs, ["[x]", "[]"])).to.throw("Invalid JSON value");
+  });
+});
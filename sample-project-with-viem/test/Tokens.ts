@@ -0,0 +1,77 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("token helpers", function () {
+  async function deployFixture() {
+    const [owner, recipient, spender] = await Promise.all([0, 1, 2].map(
+      async (index) => hre.common.getAddress(await hre.common.getSigner(index))
+    ));
+    const { contract: token, address: tokenAddress } = await hre.common.deployContract("TestToken", [1000000n]);
+    const { contract: nft } = await hre.common.deployContract("TestNFT", []);
+    await hre.common.send(nft, "mint", [owner, 1n]);
+    const { contract: multi } = await hre.common.deployContract("TestMultiToken", []);
+    await hre.common.send(multi, "mint", [owner, 1n, 100n]);
+    await hre.common.send(multi, "mint", [owner, 2n, 200n]);
+    return { owner, recipient, spender, token, tokenAddress, nft, multi };
+  }
+
+  it("Should read and transfer ERC-20 tokens", async function () {
+    const { owner, recipient, spender, token, tokenAddress } = await loadFixture(deployFixture);
+    const { erc20 } = hre.common;
+    expect(await erc20.metadata(tokenAddress)).to.deep.equal({ name: "Test Token", symbol: "TT", decimals: 6n });
+    expect(await erc20.totalSupply(token)).to.equal(1000000n);
+
+    await (await erc20.transfer(token, recipient, 100n)).wait();
+    await erc20.approve(token, spender, 50n);
+    expect(await erc20.allowance(token, owner, spender)).to.equal(50n);
+    await erc20.transferFrom(token, owner, recipient, 30n, { account: 2 });
+
+    expect(await erc20.balanceOf(token, recipient)).to.equal(130n);
+    expect(await erc20.balanceOf(tokenAddress, owner)).to.equal(999870n);
+    expect(await erc20.allowance(token, owner, spender)).to.equal(20n);
+  });
+
+  it("Should read and transfer ERC-721 tokens", async function () {
+    const { owner, recipient, spender, nft } = await loadFixture(deployFixture);
+    const { erc721 } = hre.common;
+    expect(await erc721.metadata(nft)).to.deep.equal({ name: "Test NFT", symbol: "TNFT" });
+    expect(await erc721.tokenURI(nft, 1n)).to.equal("ipfs://test-nft");
+    expect((await erc721.ownerOf(nft, 1n)).toLowerCase()).to.equal(owner.toLowerCase());
+
+    await erc721.approve(nft, spender, 1n);
+    expect((await erc721.getApproved(nft, 1n)).toLowerCase()).to.equal(spender.toLowerCase());
+    await erc721.setApprovalForAll(nft, spender, true);
+    expect(await erc721.isApprovedForAll(nft, owner, spender)).to.equal(true);
+    await erc721.safeTransferFrom(nft, owner, recipient, 1n, "0x", { account: 2 });
+
+    expect((await erc721.ownerOf(nft, 1n)).toLowerCase()).to.equal(recipient.toLowerCase());
+    expect(await erc721.balanceOf(nft, recipient)).to.equal(1n);
+    await erc721.transferFrom(nft, recipient, owner, 1n, { account: 1 });
+    expect(await erc721.balanceOf(nft, owner)).to.equal(1n);
+  });
+
+  it("Should read and transfer ERC-1155 tokens", async function () {
+    const { owner, recipient, spender, multi } = await loadFixture(deployFixture);
+    const { erc1155 } = hre.common;
+    expect(await erc1155.uri(multi, 1n)).to.equal("ipfs://test-multi-token/{id}.json");
+
+    await erc1155.safeTransferFrom(multi, owner, recipient, 1n, 10n, "0x");
+    await erc1155.setApprovalForAll(multi, spender, true);
+    expect(await erc1155.isApprovedForAll(multi, owner, spender)).to.equal(true);
+    await erc1155.safeBatchTransferFrom(multi, owner, recipient, [1n, 2n], [5n, 20n], "0x", { account: 2 });
+
+    expect(await erc1155.balanceOf(multi, recipient, 1n)).to.equal(15n);
+    expect(await erc1155.balanceOfBatch(multi, [owner, recipient, owner], [1n, 2n, 2n]))
+      .to.deep.equal([85n, 20n, 180n]);
+  });
+
+  it("Should expose the standard ABIs", async function () {
+    const { recipient, tokenAddress } = await loadFixture(deployFixture);
+    await hre.common.erc20.transfer(tokenAddress, recipient, 7n);
+    const token = await hre.common.getContractAt(hre.common.erc20.abi, tokenAddress);
+
+    const logs = await hre.common.getLogs(token, "Transfer", 0, "latest", { to: recipient });
+    expect(logs.map((log: any) => log.args.value)).to.deep.equal([7n]);
+  });
+});
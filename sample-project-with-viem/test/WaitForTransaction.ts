@@ -0,0 +1,86 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("Waiting for transactions", function () {
+  async function deployFailuresFixture() {
+    const { contract } = await hre.common.deployContract("Failures", []);
+    return { contract };
+  }
+
+  // Sends a transaction without mining it, so it can be awaited.
+  async function sendPending(contract: any, method: string) {
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+      return await hre.common.send(contract, method, [], { gas: 100000 });
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+  }
+
+  it("Should return the receipt of a reverted transaction from tx.wait()", async function () {
+    const { contract } = await loadFixture(deployFailuresFixture);
+    const tx = await sendPending(contract, "failWithReason");
+    await hre.common.network.mine();
+
+    const receipt = await tx.wait();
+    expect(receipt.status).to.equal("reverted");
+  });
+
+  it("Should return the receipt of a reverted transaction from waitForTransaction", async function () {
+    const { contract } = await loadFixture(deployFailuresFixture);
+    const tx = await sendPending(contract, "failWithReason");
+    await hre.common.network.mine();
+
+    const receipt = await hre.common.waitForTransaction(tx.hash, { pollingInterval: 50 });
+    expect(receipt.status).to.equal("reverted");
+    expect(receipt.transactionHash).to.equal(tx.hash);
+  });
+
+  it("Should wait for the required confirmations", async function () {
+    const { contract } = await loadFixture(deployFailuresFixture);
+    const tx = await hre.common.send(contract, "increment", []);
+    const waiting = hre.common.waitForTransaction(tx, { confirmations: 3, pollingInterval: 50 });
+    await hre.common.network.mine(2);
+
+    const receipt = await waiting;
+    expect(receipt.status).to.equal("success");
+  });
+
+  it("Should throw the same timeout error on every wait path", async function () {
+    const { contract } = await loadFixture(deployFailuresFixture);
+    const tx = await sendPending(contract, "increment");
+
+    for (const wait of [
+      () => tx.wait({ timeout: 200 }),
+      () => hre.common.waitForTransaction(tx, { timeout: 200, pollingInterval: 50 }),
+    ]) {
+      const error = await wait().then(() => null, (e: any) => e);
+      expect(error).to.be.instanceOf(hre.common.TransactionError);
+      expect(error.kind).to.equal("timeout");
+      expect(error.hash).to.equal(tx.hash);
+    }
+    await hre.common.network.mine();
+  });
+
+  it("Should detect unknown transactions", async function () {
+    const error = await hre.common.waitForTransaction("0x" + "11".repeat(32)).then(() => null, (e: any) => e);
+    expect(error).to.be.instanceOf(hre.common.TransactionError);
+    expect(error.kind).to.equal("not-found");
+  });
+
+  it("Should detect cancelled transactions", async function () {
+    const { contract } = await loadFixture(deployFailuresFixture);
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    const tx = await hre.common.send(contract, "increment", [], { gas: 100000 });
+    const waiting = hre.common.waitForTransaction(tx, { pollingInterval: 50 }).then(() => null, (e: any) => e);
+    const cancellation = await hre.common.cancelTransaction(tx);
+    await hre.common.network.mine();
+    await hre.network.provider.send("evm_setAutomine", [true]);
+
+    const error = await waiting;
+    expect(error).to.be.instanceOf(hre.common.TransactionError);
+    expect(error.kind).to.equal("cancelled");
+    expect(error.replacement).to.equal(cancellation.hash);
+  });
+});
@@ -0,0 +1,103 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+
+describe("watchLogs polling", function () {
+  async function deployFixture() {
+    const { contract: events } = await hre.common.deployContract("Events", []);
+    return { events };
+  }
+
+  // Waits until a condition holds, checking it every few milliseconds.
+  async function waitUntil(condition: () => boolean) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error("The condition was not met in time");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+
+  // Waits for a few polling intervals.
+  async function sleep() {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  it("Should deliver new logs by polling", async function () {
+    const { events } = await loadFixture(deployFixture);
+    await hre.common.send(events, "deposit", [1]);
+    const amounts: bigint[] = [];
+    const unwatch = await hre.common.watchLogs(events, "Deposited", (log: any) => amounts.push(log.args.amount), {
+      polling: true, pollingInterval: 20,
+    });
+    try {
+      await hre.common.send(events, "deposit", [2]);
+      await hre.common.send(events, "deposit", [3], { account: 1 });
+      await waitUntil(() => amounts.length === 2);
+    } finally {
+      await unwatch();
+    }
+    expect(amounts).to.deep.equal([2n, 3n]);
+  });
+
+  it("Should filter by the indexed arguments", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const account = hre.common.getAddress(await hre.common.getSigner(1));
+    const amounts: bigint[] = [];
+    const unwatch = await hre.common.watchLogs(
+      events, "Deposited", [account], (log: any) => amounts.push(log.args.amount), { polling: true, pollingInterval: 20 }
+    );
+    try {
+      await hre.common.send(events, "deposit", [1]);
+      await hre.common.send(events, "deposit", [2], { account: 1 });
+      await waitUntil(() => amounts.length === 1);
+      await sleep();
+    } finally {
+      await unwatch();
+    }
+    expect(amounts).to.deep.equal([2n]);
+  });
+
+  it("Should wait for the confirmations", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const amounts: bigint[] = [];
+    const unwatch = await hre.common.watchLogs(events, "Deposited", (log: any) => amounts.push(log.args.amount), {
+      pollingInterval: 20, confirmations: 2,
+    });
+    try {
+      await hre.common.send(events, "deposit", [1]);
+      await hre.common.network.mine();
+      await sleep();
+      expect(amounts).to.deep.equal([]);
+
+      await hre.common.network.mine();
+      await waitUntil(() => amounts.length === 1);
+    } finally {
+      await unwatch();
+    }
+    expect(amounts).to.deep.equal([1n]);
+  });
+
+  it("Should notify the logs dropped by a reorg", async function () {
+    const { events } = await loadFixture(deployFixture);
+    const amounts: bigint[] = [];
+    const removed: any[] = [];
+    const unwatch = await hre.common.watchLogs(events, "Deposited", (log: any) => amounts.push(log.args.amount), {
+      polling: true, pollingInterval: 20, onRemoved: (log: any) => removed.push(log),
+    });
+    try {
+      const snapshot = await hre.network.provider.send("evm_snapshot", []);
+      await hre.common.send(events, "deposit", [1]);
+      await waitUntil(() => amounts.length === 1);
+
+      await hre.network.provider.send("evm_revert", [snapshot]);
+      await hre.common.send(events, "deposit", [2]);
+      await hre.common.network.mine();
+      await waitUntil(() => removed.length === 1 && amounts.length === 2);
+    } finally {
+      await unwatch();
+    }
+    expect(amounts).to.deep.equal([1n, 2n]);
+    expect(removed[0].args.amount).to.equal(1n);
+    expect(removed[0].removed).to.equal(true);
+  });
+});
@@ -0,0 +1,137 @@
+const viem = require("viem");
+const {resolveFunction, getFunctionSignature} = require("./functions");
+const {normalizeValues, normalizeOutputs} = require("./outputs");
+const {encodeEventTopics: encodeEventAbiTopics} = require("./topics");
+const {resolveEvent} = require("../eventLogs/common");
+
+// Converts a list of types (either ABI parameters or type strings,
+// e.g. "uint256" or "(address to, uint256 amount)") to ABI parameters.
+function toAbiParameters(types) {
+    if (!Array.isArray(types)) {
+        throw new Error("The types must be given as an array");
+    }
+    return types.map((type) => (
+        typeof type === "string" ? viem.parseAbiParameter(type) : type
+    ));
+}
+
+/**
+ * ABI-encodes a list of values (as in function arguments).
+ * @param types The types: ABI parameters or type strings.
+ * @param values The values.
+ * @returns {string} The encoded data.
+ */
+function encodeParameters(types, values) {
+    return viem.encodeAbiParameters(toAbiParameters(types), values);
+}
+
+/**
+ * ABI-decodes a list of values (as in function arguments).
+ * @param types The types: ABI parameters or type strings.
+ * @param data The encoded data.
+ * @returns {{}} The values, indexed both by position and by name.
+ */
+function decodeParameters(types, data) {
+    const params = toAbiParameters(types);
+    return normalizeValues(params, viem.decodeAbiParameters(params, data));
+}
+
+/**
+ * Encodes a list of values in non-standard packed mode
+ * (as in Solidity's abi.encodePacked).
+ * @param types The type strings.
+ * @param values The values.
+ * @returns {string} The encoded data.
+ */
+function encodePacked(types, values) {
+    return viem.encodePacked(types, values);
+}
+
+/**
+ * Encodes a function call (selector and arguments).
+ * @param abi The contract ABI.
+ * @param method The method name or signature.
+ * @param args The arguments.
+ * @returns {string} The calldata.
+ */
+function encodeFunctionData(abi, method, args) {
+    const functionAbi = resolveFunction(abi, method, args);
+    return viem.encodeFunctionData({abi: [functionAbi], functionName: functionAbi.name, args: args || []});
+}
+
+/**
+ * Decodes a function call (selector and arguments).
+ * @param abi The contract ABI.
+ * @param data The calldata.
+ * @returns {{name, signature, args}} The function name and signature,
+ * and the arguments indexed both by position and by name.
+ */
+function decodeFunctionData(abi, data) {
+    const selector = viem.slice(data, 0, 4);
+    const functionAbi = abi.find((item) => item.type === "function" && viem.toFunctionSelector(item) === selector);
+    if (!functionAbi) {
+        throw new Error(`No function with selector ${selector} was found in the ABI`);
+    }
+    const {args} = viem.decodeFunctionData({abi: [functionAbi], data});
+    return {
+        name: functionAbi.name, signature: getFunctionSignature(functionAbi),
+        args: normalizeValues(functionAbi.inputs, args || [])
+    };
+}
+
+/**
+ * Decodes the result of a function call. The result is normalized
+ * like in hre.common.call.
+ * @param abi The contract ABI.
+ * @param method The method name or signature.
+ * @param data The returned data.
+ * @returns {*} The normalized result.
+ */
+function decodeFunctionResult(abi, method, data) {
+    const functionAbi = resolveFunction(abi, method);
+    return normalizeOutputs(functionAbi, viem.decodeFunctionResult({
+        abi: [functionAbi], functionName: functionAbi.name, data
+    }));
+}
+
+/**
+ * Encodes the topics of an event: the event selector and then
+ * the indexed values.
+ * @param abi The contract ABI.
+ * @param eventName The name, or specification, of the event.
+ * @param indexedArgs The indexed arguments, by position or name.
+ * @returns {(string|string[]|null)[]} The topics.
+ */
+function encodeEventTopics(abi, eventName, indexedArgs) {
+    return encodeEventAbiTopics(resolveEvent(abi, eventName), indexedArgs);
+}
+
+/**
+ * Computes the keccak256 hash of a value.
+ * @param value The value: a string or a Uint8Array.
+ * @param mode How to interpret the value: "text" (UTF-8 string, the
+ * default for strings), "hex" (a 0x-prefixed hex string) or "bytes"
+ * (a Uint8Array, the default for them).
+ * @returns {string} The hash.
+ */
+function keccak256(value, mode) {
+    mode ??= value instanceof Uint8Array ? "bytes" : "text";
+    switch (mode) {
+        case "text":
+            if (typeof value !== "string") throw new Error("A string must be given in text mode");
+            return viem.keccak256(viem.stringToBytes(value));
+        case "hex":
+            if (!viem.isHex(value, {strict: true})) throw new Error("A 0x-prefixed hex string must be given in hex mode");
+            return viem.keccak256(viem.hexToBytes(value));
+        case "bytes":
+            if (!(value instanceof Uint8Array)) throw new Error("A Uint8Array must be given in bytes mode");
+            return viem.keccak256(value);
+        default:
+            throw new Error(`Invalid keccak256 mode: ${mode}. Use one of: text, hex, bytes`);
+    }
+}
+
+module.exports = {
+    encodeParameters, decodeParameters, encodePacked, encodeFunctionData, decodeFunctionData,
+    decodeFunctionResult, encodeEventTopics, keccak256
+}
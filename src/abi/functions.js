@@ -0,0 +1,61 @@
+const {parseAbiItem, toFunctionSignature} = require("viem");
+
+/**
+ * Gets the canonical signature of a function ABI entry
+ * (e.g. "foo(uint256,(address,bool))").
+ * @param functionAbi The function ABI entry.
+ * @returns {string} The canonical signature.
+ */
+function getFunctionSignature(functionAbi) {
+    return toFunctionSignature(functionAbi);
+}
+
+/**
+ * Resolves a method specification against an ABI. The method can be
+ * either a name ("foo") or a signature ("foo(uint256)", with or without
+ * parameter names). When a name is overloaded, the number of arguments
+ * is used to choose, and an error is raised if it is still ambiguous.
+ * @param abi The contract ABI (an array of ABI entries).
+ * @param method The method name or signature.
+ * @param args The arguments (optional), to choose among overloads.
+ * @returns {*} The matching ABI entry, as it is in the ABI.
+ */
+function resolveFunction(abi, method, args) {
+    const functions = abi.filter((item) => item.type === "function");
+
+    if (!method.includes("(")) {
+        let matchingFunctions = functions.filter((item) => item.name === method);
+        if (matchingFunctions.length === 0) {
+            throw new Error(`Method "${method}" not found in contract ABI.`);
+        }
+        if (matchingFunctions.length > 1 && args) {
+            matchingFunctions = matchingFunctions.filter((item) => item.inputs.length === args.length);
+        }
+        if (matchingFunctions.length !== 1) {
+            throw new Error(
+                `Method "${method}" is ambiguous in the contract ABI. Use one of these ` +
+                `signatures instead: ${functions.filter((item) => item.name === method).map(
+                    getFunctionSignature
+                ).join(", ")}.`
+            );
+        }
+        return matchingFunctions[0];
+    }
+
+    let signature;
+    try {
+        const text = method.trim();
+        signature = getFunctionSignature(parseAbiItem(text.startsWith("function ") ? text : `function ${text}`));
+    } catch(e) {
+        throw new Error(`Invalid method specification "${method}": ${e.shortMessage || e.message}`);
+    }
+    const matchingFunction = functions.find((item) => getFunctionSignature(item) === signature);
+    if (!matchingFunction) {
+        throw new Error(`Method specification "${method}" not found in contract ABI.`);
+    }
+    return matchingFunction;
+}
+
+module.exports = {
+    getFunctionSignature, resolveFunction
+}
@@ -0,0 +1,64 @@
+// Gets the value at a position (or with a name) from a list
+// of values: ethers returns Result (array-like) values, while
+// viem returns either arrays or objects (for named structs).
+function getComponentValue(values, index, name) {
+    if (Array.isArray(values)) return values[index];
+    return name && name in values ? values[name] : values[index];
+}
+
+/**
+ * Normalizes a value given its ABI parameter: integers become BigInt,
+ * arrays become plain arrays, and tuples become objects indexed both
+ * by position and by (non-empty) name. Other values are kept as-is.
+ * @param param The ABI parameter (e.g. an output, or a component).
+ * @param value The value, as returned by either backend.
+ * @returns {*} The normalized value.
+ */
+function normalizeValue(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[\d*]$/);
+    if (arrayMatch) {
+        return Array.from(value, (item) => normalizeValue({...param, type: arrayMatch[1]}, item));
+    }
+    if (param.type === "tuple") {
+        return normalizeValues(param.components, value);
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+        return BigInt(value);
+    }
+    return value;
+}
+
+/**
+ * Normalizes a list of values given their ABI parameters, into
+ * an object indexed both by position and by (non-empty) name.
+ * @param params The ABI parameters.
+ * @param values The values, as returned by either backend.
+ * @returns {{}} The normalized values.
+ */
+function normalizeValues(params, values) {
+    const result = {};
+    params.forEach((param, index) => {
+        result[index] = normalizeValue(param, getComponentValue(values, index, param.name));
+        if (param.name) result[param.name] = result[index];
+    });
+    return result;
+}
+
+/**
+ * Normalizes the returned value of a function: nothing (undefined)
+ * for no outputs, a single (normalized) value for one output, and an
+ * object indexed both by position and by name for many outputs.
+ * @param functionAbi The function ABI entry.
+ * @param value The returned value, as returned by either backend.
+ * @returns {*} The normalized value.
+ */
+function normalizeOutputs(functionAbi, value) {
+    const outputs = functionAbi.outputs || [];
+    if (outputs.length === 0) return undefined;
+    if (outputs.length === 1) return normalizeValue(outputs[0], value);
+    return normalizeValues(outputs, value);
+}
+
+module.exports = {
+    normalizeValue, normalizeValues, normalizeOutputs
+}
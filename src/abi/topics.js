@@ -0,0 +1,109 @@
+const {
+    pad, toHex, isHex, hexToBytes, keccak256, stringToBytes, getAddress, toEventSelector
+} = require("viem");
+
+// Gets the size, in bits or bytes, of a numeric or fixed bytes
+// type (e.g. 256 for uint256, 32 for bytes32), or null.
+function getTypeSize(type, prefix) {
+    const match = type.match(new RegExp(`^${prefix}(\\d*)$`));
+    if (!match) return null;
+    return match[1] ? Number(match[1]) : (prefix === "bytes" ? null : 256);
+}
+
+// Converts a bytes value (hex string or Uint8Array) to hex.
+function bytesToHex(value) {
+    if (value instanceof Uint8Array) return toHex(value);
+    if (typeof value === "string" && isHex(value)) return value;
+    throw new Error(`Invalid bytes value: ${value}`);
+}
+
+/**
+ * Encodes an indexed value as a topic. Values of dynamic types (string
+ * and bytes) are hashed, as the EVM does. Unless disallowed, null stands
+ * for "any value" and an array stands for "any of these values".
+ * @param type The ABI type of the indexed parameter.
+ * @param value The value to encode.
+ * @param cannotBeArrayOrNull Whether null and arrays are disallowed.
+ * @returns {string|string[]|null} The encoded topic(s).
+ */
+function encodeIndexedValue(type, value, cannotBeArrayOrNull) {
+    // If array/null are allowed by this point, test
+    // for arrays or null values and return appropriately.
+    cannotBeArrayOrNull ||= false;
+    if (!cannotBeArrayOrNull) {
+        if (value === null) return null;
+        if (Array.isArray(value)) return value.map((v) => encodeIndexedValue(type, v, true));
+    }
+
+    // By this point, this null check will only occur
+    // if array/null values is not allowed. In this
+    // case, an error will be thrown.
+    if (value === null) throw new Error(`null cannot be an individual topic in an array`);
+
+    // By this point, we don't care about arrays or
+    // null values, but test against the types instead.
+    const uintSize = getTypeSize(type, "uint");
+    const intSize = getTypeSize(type, "int");
+    const bytesSize = getTypeSize(type, "bytes");
+    if (type === "address") {
+        return pad(getAddress(value).toLowerCase(), {size: 32}); // Address encoding
+    } else if (uintSize) {
+        return toHex(BigInt(value), {size: 32}); // Uint encoding
+    } else if (intSize) {
+        return toHex(BigInt.asUintN(256, BigInt(value)), {size: 32}); // Signed int encoding
+    } else if (type === "bool") {
+        return toHex(value ? 1 : 0, {size: 32}); // Boolean encoding (true = 1, false = 0)
+    } else if (bytesSize) {
+        return pad(bytesToHex(value), {size: 32, dir: "right"}); // Fixed bytes types (bytes1 to bytes32)
+    } else if (type === "string") {
+        return keccak256(stringToBytes(value)); // Dynamic types are hashed
+    } else if (type === "bytes") {
+        return keccak256(hexToBytes(bytesToHex(value)));
+    }
+    throw new Error(`Unsupported indexed type: ${type}`);
+}
+
+/**
+ * Encodes the given indexed values to be used as topics (after the
+ * first topic, which is the event selector). The values can be given
+ * as an array (by position among the indexed parameters) or as an object
+ * (by name). Missing values are encoded as null (i.e. any value).
+ * @param eventAbi The event ABI entry (or an ethers EventFragment).
+ * @param indexedArgs The indexed arguments.
+ * @returns {(string|string[]|null)[]} The topics.
+ */
+function encodeTopics(eventAbi, indexedArgs) {
+    indexedArgs ||= [];
+    const topics = [];
+    let index = 0;
+    for (const param of eventAbi.inputs) {
+        if (param.indexed) {
+            const value = (param.name ? indexedArgs[param.name] : undefined) ?? indexedArgs[index];
+            index++;
+            if (value !== undefined) {
+                topics.push(encodeIndexedValue(param.type, value));
+            } else {
+                topics.push(null);
+            }
+        }
+    }
+    if (Array.isArray(indexedArgs) && indexedArgs.length > index) {
+        throw new Error(`Too many indexed arguments provided. Expected at most ${index}, got ${indexedArgs.length}.`);
+    }
+    return topics;
+}
+
+/**
+ * Encodes all the topics of an event: the event selector and then
+ * the given indexed values (see encodeTopics).
+ * @param eventAbi The event ABI entry.
+ * @param indexedArgs The indexed arguments.
+ * @returns {(string|string[]|null)[]} The topics.
+ */
+function encodeEventTopics(eventAbi, indexedArgs) {
+    return [toEventSelector(eventAbi), ...encodeTopics(eventAbi, indexedArgs)];
+}
+
+module.exports = {
+    encodeIndexedValue, encodeTopics, encodeEventTopics
+}
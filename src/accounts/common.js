@@ -0,0 +1,86 @@
+const {getAddress} = require("viem");
+const {isLocalNetwork} = require("../network/common");
+
+// Gets the entry of a named account for the current network.
+async function getNetworkEntry(hre, entry) {
+    if (entry === null || typeof entry !== "object") return entry;
+    const chainId = (await hre.common.getChainId()).toString();
+    return entry[hre.network.name] ?? entry[chainId] ?? entry.default;
+}
+
+/**
+ * Resolves a named account (from the `namedAccounts` section of the
+ * Hardhat config) for the current network. Each entry is either an
+ * index or address (for all the networks), or an object whose keys
+ * are network names, chain ids, or "default".
+ * @param hre The hardhat runtime environment.
+ * @param name The account name.
+ * @returns {Promise<number|string>} The account index or (checksum) address (async function).
+ */
+async function resolveNamedAccount(hre, name) {
+    const namedAccounts = hre.config.namedAccounts || {};
+    if (!Object.prototype.hasOwnProperty.call(namedAccounts, name)) {
+        throw new Error(`Unknown named account: ${name}`);
+    }
+    let entry = await getNetworkEntry(hre, namedAccounts[name]);
+    if (entry === undefined || entry === null) {
+        throw new Error(`The named account ${name} is not defined for the network: ${hre.network.name}`);
+    }
+    if (typeof entry === "bigint") entry = Number(entry);
+    if (typeof entry === "number") return entry;
+    if (typeof entry === "string" && hre.common.isAddress(entry)) return getAddress(entry);
+    throw new Error(`The named account ${name} must be an account index or an address: ${entry}`);
+}
+
+/**
+ * Gets the signer of a named account. Accounts given by address are
+ * looked up among the available signers and, if not there, they are
+ * impersonated when the current network is a local one.
+ * @param hre The hardhat runtime environment.
+ * @param name The account name.
+ * @returns {Promise<*>} The signer (async function).
+ */
+async function getNamedSigner(hre, name) {
+    const account = await resolveNamedAccount(hre, name);
+    if (typeof account === "number") {
+        const signer = (await hre.common.getSigners())[account];
+        if (!signer) {
+            throw new Error(`The named account ${name} refers to a missing account index: ${account}`);
+        }
+        return signer;
+    }
+    const signers = await hre.common.getSigners();
+    const signer = signers.find((item) => hre.common.getAddress(item).toLowerCase() === account.toLowerCase());
+    if (signer) return signer;
+    if (await isLocalNetwork(hre)) return await hre.common.network.impersonate(account);
+    throw new Error(
+        `The named account ${name} (${account}) has no available signer in the network: ${hre.network.name}`
+    );
+}
+
+/**
+ * Gets the addresses of all the named accounts defined for the current
+ * network (the ones not defined for it are skipped).
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<Object<string, string>>} The addresses, by name (async function).
+ */
+async function getNamedAccounts(hre) {
+    const signers = await hre.common.getSigners();
+    const result = {};
+    const namedAccounts = hre.config.namedAccounts || {};
+    for (const name of Object.keys(namedAccounts)) {
+        const entry = await getNetworkEntry(hre, namedAccounts[name]);
+        if (entry === undefined || entry === null) continue;
+        let account = await resolveNamedAccount(hre, name);
+        if (typeof account === "number") {
+            if (!signers[account]) continue;
+            account = hre.common.getAddress(signers[account]);
+        }
+        result[name] = account;
+    }
+    return result;
+}
+
+module.exports = {
+    resolveNamedAccount, getNamedSigner, getNamedAccounts
+}
@@ -0,0 +1,169 @@
+const {getAddress, toFunctionSelector, toFunctionSignature, toEventSelector} = require("viem");
+const {decodeFunctionData} = require("../abi/codec");
+const {CommonContractError, revertDataToError, toCommonContractError} = require("../errors/contract");
+const {listDeployments, getDeployedAddresses, readDeploymentAbis} = require("../ignition/registry");
+const {traceRevertData} = require("../transactions/common");
+
+// Gets the selector (or topic) of a function, event or error entry.
+// Errors are hashed as functions, since viem would keep the "error"
+// prefix in their signature (and so, compute a wrong selector).
+function getEntrySelector(entry) {
+    if (entry.type === "event") return toEventSelector(entry);
+    return toFunctionSelector(toFunctionSignature({...entry, type: "function", outputs: []}));
+}
+
+// Gets a key identifying an ABI entry, so repeated entries are
+// indexed once. Events also differ by which inputs are indexed.
+function getEntryKey(entry) {
+    const indexed = entry.type === "event" ? (entry.inputs || []).map((input) => (input.indexed ? 1 : 0)).join("") : "";
+    return `${entry.type} ${toFunctionSignature(entry)} ${indexed}`;
+}
+
+// Makes an empty index of ABI entries (functions, events and
+// errors) by their selector (or topic).
+function makeAbiIndex() {
+    const keys = new Set();
+    const index = {function: {}, event: {}, error: {}};
+    index.add = (abi) => {
+        for (const entry of abi || []) {
+            if (!index[entry.type]) continue;
+            const key = getEntryKey(entry);
+            if (keys.has(key)) continue;
+            keys.add(key);
+            (index[entry.type][getEntrySelector(entry)] ||= []).push(entry);
+        }
+    };
+    return index;
+}
+
+/**
+ * Builds an index of the ABI entries of all the project artifacts and
+ * the Ignition deployment artifacts, along with the ABIs and labels (the
+ * future ids) of the addresses deployed by Ignition in the current chain.
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<{index, addressIndexes, labels}>} The global index, the
+ * indexes by (lowercase) address, and the labels by (lowercase) address
+ * (async function).
+ */
+async function buildDecodingIndex(hre) {
+    const index = makeAbiIndex();
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+        index.add((await hre.artifacts.readArtifact(name)).abi);
+    }
+
+    const chainId = await hre.common.getChainId();
+    const addressIndexes = {};
+    const labels = {};
+    for (const {deploymentId, chainId: deploymentChainId} of await listDeployments(hre)) {
+        const abis = await readDeploymentAbis(hre, deploymentId);
+        Object.values(abis).forEach((abi) => index.add(abi));
+        const sameChain = deploymentChainId === null ? deploymentId === `chain-${chainId}` : deploymentChainId === chainId;
+        if (!sameChain) continue;
+        const addresses = await getDeployedAddresses(hre, deploymentId);
+        for (const [futureId, address] of Object.entries(addresses)) {
+            const key = address.toLowerCase();
+            (labels[key] ||= []).includes(futureId) || labels[key].push(futureId);
+            (addressIndexes[key] ||= makeAbiIndex()).add(abis[futureId]);
+        }
+    }
+    return {index, addressIndexes, labels};
+}
+
+// Gets the candidate entries for a selector: first the ones of
+// the contract (if known), and then the global ones.
+function getCandidates({index, addressIndexes}, address, type, selector) {
+    const addressIndex = address && addressIndexes[address.toLowerCase()];
+    return [...((addressIndex && addressIndex[type][selector]) || []), ...(index[type][selector] || [])];
+}
+
+// Decodes the calldata of a transaction, trying all the
+// functions having its selector.
+function decodeCall(decodingIndex, to, data) {
+    if (!data || data === "0x") return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    for (const candidate of getCandidates(decodingIndex, to, "function", selector)) {
+        try {
+            return {selector, ...decodeFunctionData([candidate], data)};
+        } catch {}
+    }
+    return {selector, name: null, signature: null, args: null};
+}
+
+// Gets the revert reason of a reverted transaction, decoded with all
+// the errors. It is taken from a trace of the transaction when the node
+// supports it. Otherwise, the transaction is re-executed in the state of
+// its parent block, which ignores the former transactions of its block
+// (so the reason might differ, or be missing).
+async function decodeRevert(hre, decodingIndex, tx) {
+    const errors = [
+        ...Object.values((tx.to && decodingIndex.addressIndexes[tx.to.toLowerCase()] || {error: {}}).error).flat(),
+        ...Object.values(decodingIndex.index.error).flat()
+    ];
+    const data = await traceRevertData(hre, tx.hash);
+    if (data !== undefined) return revertDataToError(data, errors);
+    try {
+        await hre.network.provider.request({
+            method: "eth_call",
+            params: [{from: tx.from, to: tx.to, data: tx.input, value: tx.value, gas: tx.gas},
+                "0x" + (BigInt(tx.blockNumber) - 1n).toString(16)]
+        });
+    } catch(e) {
+        const error = toCommonContractError(e, errors);
+        return error instanceof CommonContractError ? error : null;
+    }
+    // The transaction did not revert when re-executed.
+    return null;
+}
+
+/**
+ * Decodes a transaction against all the project and Ignition artifacts:
+ * its calldata, its revert reason (if it reverted) and its logs. The known
+ * addresses are labelled with their Ignition future ids. The revert reason
+ * is traced when the node supports it, and otherwise is a best effort (see
+ * decodeRevert).
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash.
+ * @param decodeLog A function taking the candidate event entries and a raw
+ * (JSON-RPC) log, and returning the normalized log.
+ * @returns {Promise<*>} The decoded transaction: {hash, from, to, value, nonce,
+ * status, blockNumber, contractAddress, call, revert, logs, labels} (async function).
+ */
+async function decodeTransaction(hre, hash, decodeLog) {
+    const tx = await hre.network.provider.request({method: "eth_getTransactionByHash", params: [hash]});
+    if (!tx) {
+        throw new Error(`The transaction ${hash} was not found`);
+    }
+    const receipt = await hre.network.provider.request({method: "eth_getTransactionReceipt", params: [hash]});
+    const decodingIndex = await buildDecodingIndex(hre);
+
+    const status = receipt ? (BigInt(receipt.status) === 1n ? "success" : "reverted") : null;
+    const logs = (receipt ? receipt.logs : []).map((log) => ({
+        ...decodeLog(getCandidates(decodingIndex, log.address, "event", log.topics[0]), log),
+        address: getAddress(log.address)
+    }));
+    const contractAddress = receipt && receipt.contractAddress ? getAddress(receipt.contractAddress) : null;
+
+    const labels = {};
+    for (const address of [tx.from, tx.to, contractAddress, ...logs.map((log) => log.address)]) {
+        const futureIds = address && decodingIndex.labels[address.toLowerCase()];
+        if (futureIds) labels[getAddress(address)] = futureIds;
+    }
+
+    return {
+        hash: tx.hash,
+        from: getAddress(tx.from),
+        to: tx.to ? getAddress(tx.to) : null,
+        value: BigInt(tx.value),
+        nonce: Number(tx.nonce),
+        status,
+        blockNumber: tx.blockNumber ? BigInt(tx.blockNumber) : null,
+        contractAddress,
+        call: tx.to ? decodeCall(decodingIndex, tx.to, tx.input) : null,
+        revert: status === "reverted" ? await decodeRevert(hre, decodingIndex, tx) : null,
+        logs, labels
+    };
+}
+
+module.exports = {
+    buildDecodingIndex, decodeTransaction
+}
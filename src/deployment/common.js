@@ -0,0 +1,152 @@
+const {encodeDeployData} = require("viem");
+const {estimateTransactionGas, traceRevertData} = require("../transactions/common");
+const {revertDataToError, toCommonContractError} = require("../errors/contract");
+
+/**
+ * Loads an artifact, given its name or the artifact itself.
+ * @param hre The hardhat runtime environment.
+ * @param nameOrArtifact The contract name (or fully qualified name),
+ * or an artifact-like object having `abi` and `bytecode`.
+ * @returns {Promise<*>} The artifact (async function).
+ */
+async function loadArtifact(hre, nameOrArtifact) {
+    if (typeof nameOrArtifact === "string") {
+        return await hre.artifacts.readArtifact(nameOrArtifact);
+    }
+    if (!nameOrArtifact || !nameOrArtifact.abi || !nameOrArtifact.bytecode) {
+        throw new Error("A contract name, or an artifact with abi and bytecode, must be given");
+    }
+    return nameOrArtifact;
+}
+
+/**
+ * Tells whether an artifact is a complete hardhat artifact (and not just
+ * an object having `abi` and `bytecode`), so the deployment APIs of the
+ * hardhat plugins can take it.
+ * @param artifact The artifact.
+ * @returns {boolean} Whether it is a complete hardhat artifact.
+ */
+function isHardhatArtifact(artifact) {
+    return typeof artifact.contractName === "string" && typeof artifact.sourceName === "string" &&
+        !!artifact.linkReferences && !!artifact.deployedLinkReferences && typeof artifact.deployedBytecode === "string";
+}
+
+/**
+ * Converts the values of the libraries to link (addresses or contract
+ * instances) to addresses.
+ * @param hre The hardhat runtime environment.
+ * @param libraries The libraries to link.
+ * @returns {*} The libraries to link, by address.
+ */
+function resolveLibraries(hre, libraries) {
+    return Object.fromEntries(Object.entries(libraries || {}).map(([key, library]) => [
+        key, typeof library === "string" ? library : hre.common.getContractAddress(library)
+    ]));
+}
+
+/**
+ * Links the external libraries into the bytecode of an artifact. The
+ * libraries are given as an object whose keys are either the library
+ * names or their fully qualified names ("contracts/Lib.sol:Lib"), and
+ * whose values are addresses (or anything the given resolver converts
+ * to addresses, like contract instances).
+ * @param artifact The artifact.
+ * @param libraries The libraries to link.
+ * @param resolveAddress A function converting a library value to an address.
+ * @returns {string} The linked bytecode.
+ */
+function linkBytecode(artifact, libraries, resolveAddress) {
+    libraries ||= {};
+    let bytecode = artifact.bytecode;
+    const linkReferences = artifact.linkReferences || {};
+    const used = new Set();
+    const missing = [];
+
+    for (const [sourceName, sourceLibraries] of Object.entries(linkReferences)) {
+        for (const [libraryName, references] of Object.entries(sourceLibraries)) {
+            const fullyQualifiedName = `${sourceName}:${libraryName}`;
+            let key = undefined;
+            if (libraries[fullyQualifiedName] !== undefined) {
+                key = fullyQualifiedName;
+            } else if (libraries[libraryName] !== undefined) {
+                const sameName = Object.values(linkReferences).filter((libs) => libs[libraryName] !== undefined);
+                if (sameName.length > 1) {
+                    throw new Error(
+                        `The library name ${libraryName} is ambiguous for the contract ${artifact.contractName}. ` +
+                        `Use its fully qualified name (e.g. ${fullyQualifiedName}) instead.`
+                    );
+                }
+                key = libraryName;
+            }
+            if (key === undefined) {
+                missing.push(fullyQualifiedName);
+                continue;
+            }
+            used.add(key);
+
+            const address = resolveAddress(libraries[key]);
+            if (typeof address !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+                throw new Error(`Invalid address for the library ${fullyQualifiedName}: ${address}`);
+            }
+            const hexAddress = address.slice(2).toLowerCase();
+            for (const {start, length} of references) {
+                // Offsets are in bytes, while the bytecode is an 0x-prefixed hex string.
+                const offset = 2 + start * 2;
+                bytecode = bytecode.slice(0, offset) + hexAddress + bytecode.slice(offset + length * 2);
+            }
+        }
+    }
+
+    if (missing.length) {
+        throw new Error(
+            `The contract ${artifact.contractName} is missing links for the following libraries: ${missing.join(", ")}`
+        );
+    }
+    const unused = Object.keys(libraries).filter((key) => !used.has(key));
+    if (unused.length) {
+        throw new Error(
+            `The contract ${artifact.contractName} does not need the following libraries: ${unused.join(", ")}`
+        );
+    }
+    return bytecode;
+}
+
+/**
+ * Estimates the gas of a contract deployment, directly with the node.
+ * @param hre The hardhat runtime environment.
+ * @param nameOrArtifact The contract name, or its artifact.
+ * @param constructorArgs The constructor arguments.
+ * @param options The options: {from, value, libraries}.
+ * @returns {Promise<bigint>} The estimated gas (async function).
+ */
+async function estimateDeploymentGas(hre, nameOrArtifact, constructorArgs, options) {
+    const {from, value, libraries} = options || {};
+    const artifact = await loadArtifact(hre, nameOrArtifact);
+    const bytecode = linkBytecode(artifact, libraries, (library) => (
+        typeof library === "string" ? library : hre.common.getContractAddress(library)
+    ));
+    const data = encodeDeployData({abi: artifact.abi, bytecode, args: constructorArgs || []});
+    try {
+        return await estimateTransactionGas(hre, {from, data, value});
+    } catch(e) {
+        throw toCommonContractError(e, artifact.abi);
+    }
+}
+
+/**
+ * Builds the error of a deployment that was mined, but reverted. Its revert
+ * data is taken from a trace of the transaction, when the node supports it
+ * (otherwise, the error tells no reason).
+ * @param hre The hardhat runtime environment.
+ * @param hash The deployment transaction hash.
+ * @param abi The contract ABI.
+ * @param native The native error or receipt.
+ * @returns {Promise<CommonContractError>} The error (async function).
+ */
+async function makeDeploymentRevertError(hre, hash, abi, native) {
+    return revertDataToError((await traceRevertData(hre, hash)) ?? "0x", abi, native);
+}
+
+module.exports = {
+    loadArtifact, isHardhatArtifact, resolveLibraries, linkBytecode, estimateDeploymentGas, makeDeploymentRevertError
+}
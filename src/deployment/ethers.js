@@ -0,0 +1,62 @@
+const {loadArtifact, isHardhatArtifact, resolveLibraries, linkBytecode, makeDeploymentRevertError} = require("./common");
+const {wrapTransaction} = require("../transactions/ethers");
+const {toCommonContractError} = require("../errors/contract");
+
+// Gets the contract factory through hardhat-ethers, which resolves
+// the artifact and validates and links the libraries. Artifact-like
+// objects (just abi and bytecode) are linked here instead.
+async function getContractFactory(hre, nameOrArtifact, libraries, signer) {
+    libraries = resolveLibraries(hre, libraries);
+    if (typeof nameOrArtifact === "string") {
+        return await hre.ethers.getContractFactory(nameOrArtifact, {signer, libraries});
+    }
+    const artifact = await loadArtifact(hre, nameOrArtifact);
+    if (isHardhatArtifact(artifact)) {
+        return await hre.ethers.getContractFactoryFromArtifact(artifact, {signer, libraries});
+    }
+    return await hre.ethers.getContractFactory(
+        artifact.abi, linkBytecode(artifact, libraries, (library) => library), signer
+    );
+}
+
+/**
+ * Deploys a contract, linking its external libraries (if any).
+ * @param hre The hardhat runtime environment.
+ * @param nameOrArtifact The contract name, or its artifact.
+ * @param constructorArgs The constructor arguments.
+ * @param options The options: {account, value, libraries, gas, gasPrice,
+ * maxFeePerGas, maxPriorityFeePerGas, nonce, eip155, confirmations}. The
+ * account must already be a signer.
+ * @returns {Promise<{contract, address, transaction}>} The contract instance,
+ * its address and the deployment transaction (async function). A reverted
+ * deployment throws a CommonContractError.
+ */
+async function deployContract(hre, nameOrArtifact, constructorArgs, options) {
+    const {
+        account, libraries, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, value, eip155, confirmations
+    } = options || {};
+    const factory = await getContractFactory(hre, nameOrArtifact, libraries, account);
+    const abi = JSON.parse(factory.interface.formatJson());
+
+    let deployed;
+    try {
+        deployed = await factory.deploy(...(constructorArgs || []), {
+            gasLimit: gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce,
+            value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
+        });
+    } catch(e) {
+        throw toCommonContractError(e, abi);
+    }
+    const transaction = wrapTransaction(hre, deployed.deploymentTransaction());
+    const receipt = await transaction.wait({confirmations: confirmations ?? 1});
+    if (receipt.status !== "success") {
+        throw await makeDeploymentRevertError(hre, transaction.hash, abi, receipt.native);
+    }
+    const address = receipt.contractAddress;
+    const contract = await hre.common.getContractAt(abi, address, account);
+    return {contract, address, transaction};
+}
+
+module.exports = {
+    deployContract
+}
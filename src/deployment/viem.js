@@ -0,0 +1,61 @@
+const {loadArtifact, resolveLibraries, linkBytecode, makeDeploymentRevertError} = require("./common");
+const {wrapTransaction} = require("../transactions/viem");
+const {toCommonContractError} = require("../errors/contract");
+
+// Sends the deployment transaction and returns its hash. Contract names
+// go through hardhat-viem, which resolves the artifact and validates and
+// links the libraries (it takes no artifacts, so these are linked here).
+async function sendDeployment(hre, nameOrArtifact, artifact, constructorArgs, libraries, account, params) {
+    libraries = resolveLibraries(hre, libraries);
+    if (typeof nameOrArtifact === "string") {
+        const {deploymentTransaction} = await hre.viem.sendDeploymentTransaction(
+            nameOrArtifact, constructorArgs, {client: {wallet: account}, libraries, ...params}
+        );
+        return deploymentTransaction.hash;
+    }
+    return await account.deployContract({
+        abi: artifact.abi, bytecode: linkBytecode(artifact, libraries, (library) => library),
+        args: constructorArgs, ...params
+    });
+}
+
+/**
+ * Deploys a contract, linking its external libraries (if any).
+ * @param hre The hardhat runtime environment.
+ * @param nameOrArtifact The contract name, or its artifact.
+ * @param constructorArgs The constructor arguments.
+ * @param options The options: {account, value, libraries, gas, gasPrice,
+ * maxFeePerGas, maxPriorityFeePerGas, nonce, eip155, confirmations}. The
+ * account must already be a signer.
+ * @returns {Promise<{contract, address, transaction}>} The contract instance,
+ * its address and the deployment transaction (async function). A reverted
+ * deployment throws a CommonContractError.
+ */
+async function deployContract(hre, nameOrArtifact, constructorArgs, options) {
+    const {
+        account, libraries, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, value, eip155, confirmations
+    } = options || {};
+    const artifact = await loadArtifact(hre, nameOrArtifact);
+
+    let hash;
+    try {
+        hash = await sendDeployment(hre, nameOrArtifact, artifact, constructorArgs || [], libraries, account, {
+            gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce,
+            value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
+        });
+    } catch(e) {
+        throw toCommonContractError(e, artifact.abi);
+    }
+    const transaction = wrapTransaction(hre, hash);
+    const receipt = await transaction.wait({confirmations: confirmations ?? 1});
+    if (receipt.status !== "success") {
+        throw await makeDeploymentRevertError(hre, hash, artifact.abi, receipt.native);
+    }
+    const address = receipt.contractAddress;
+    const contract = await hre.common.getContractAt(artifact.abi, address, account);
+    return {contract, address, transaction};
+}
+
+module.exports = {
+    deployContract
+}
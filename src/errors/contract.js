@@ -0,0 +1,196 @@
+const {decodeErrorResult} = require("viem");
+
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// The meaning of each known panic code.
+const PANIC_REASONS = {
+    0x00: "Generic compiler inserted panic",
+    0x01: "Assertion failed",
+    0x11: "Arithmetic operation overflowed or underflowed",
+    0x12: "Division or modulo division by zero",
+    0x21: "Conversion into an invalid enum value",
+    0x22: "Access to an incorrectly encoded storage byte array",
+    0x31: "Pop on an empty array",
+    0x32: "Array index out of bounds",
+    0x41: "Too much memory allocated, or an array too large",
+    0x51: "Call to a zero-initialized variable of internal function type",
+};
+
+const OUT_OF_GAS_PATTERNS = [
+    /out of gas/i, /gas required exceeds/i, /intrinsic gas too low/i, /requires gas floor/i,
+    /exceeds block gas limit/i,
+];
+const REJECTED_PATTERNS = [
+    /user rejected/i, /user denied/i, /insufficient funds/i, /nonce too (low|high)/i,
+    /replacement (transaction )?underpriced/i, /already known/i, /max fee per gas less than block base fee/i,
+    /sender doesn't have enough funds/i,
+];
+const REJECTED_CODES = [4001, "ACTION_REJECTED", "INSUFFICIENT_FUNDS", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+
+/**
+ * A normalized error for failed contract calls and transactions. It
+ * is the same regardless of the library in use. The `kind` is one of:
+ * - "require-string": Reverted with a reason string (`reason`).
+ * - "custom-error": Reverted with a custom error (`errorName`, `errorArgs`).
+ *   When the error is not in the ABI, `errorName` is null.
+ * - "panic": Reverted with a panic (`panicCode`, `panicReason`).
+ * - "revert": Reverted without data.
+ * - "out-of-gas": Ran out of gas.
+ * - "rejected": Rejected before being executed (by the signer or the node).
+ * The original error is kept in `native`, and the raw revert data in `data`.
+ */
+class CommonContractError extends Error {
+    constructor(message, {kind, data, reason, errorName, errorArgs, panicCode, panicReason, native}) {
+        super(message);
+        this.name = "CommonContractError";
+        this.kind = kind;
+        this.data = data ?? null;
+        this.reason = reason ?? null;
+        this.errorName = errorName ?? null;
+        this.errorArgs = errorArgs ?? null;
+        this.panicCode = panicCode ?? null;
+        this.panicReason = panicReason ?? null;
+        this.native = native;
+    }
+}
+
+// Walks an error chain (both ethers and viem nest the actual
+// error in many levels) invoking a visitor on each level.
+function walkError(error, visit, depth) {
+    depth ||= 0;
+    if (!error || typeof error !== "object" || depth > 10) return;
+    visit(error);
+    for (const key of ["cause", "error", "info", "data"]) {
+        walkError(error[key], visit, depth + 1);
+    }
+}
+
+// Tells whether a value looks like revert data.
+function isRevertData(value) {
+    return typeof value === "string" && /^0x([0-9a-fA-F]{2})*$/.test(value);
+}
+
+// Finds the revert data in an error chain. Returns undefined if
+// there is no revert data at all.
+function findRevertData(error) {
+    let data = undefined;
+    walkError(error, (e) => {
+        if (data !== undefined) return;
+        if (isRevertData(e.raw)) data = e.raw;
+        else if (isRevertData(e.data)) data = e.data;
+    });
+    return data;
+}
+
+// Finds, in an error chain, a message matching any of the patterns
+// (or the message of an error having one of the given codes). Returns
+// null if there is no such message.
+function findErrorMessage(error, patterns, codes) {
+    let found = null;
+    walkError(error, (e) => {
+        if (found !== null) return;
+        for (const key of ["details", "shortMessage", "message"]) {
+            if (typeof e[key] === "string" && patterns.some((pattern) => pattern.test(e[key]))) {
+                found = e[key];
+                return;
+            }
+        }
+        if (codes && codes.includes(e.code)) found = e.shortMessage || e.message || String(e.code);
+    });
+    return found;
+}
+
+// Converts decoded error arguments to an object indexed
+// both by position and by name.
+function normalizeErrorArgs(abiItem, args) {
+    const result = {};
+    (abiItem.inputs || []).forEach((input, index) => {
+        result[index] = args[index];
+        if (input.name) result[input.name] = args[index];
+    });
+    return result;
+}
+
+// Decodes revert data into the details of a CommonContractError.
+function decodeRevertData(abi, data) {
+    if (data === "0x") return {message: "Execution reverted without reason", kind: "revert"};
+
+    let decoded;
+    try {
+        decoded = decodeErrorResult({abi: (abi || []).filter((item) => item.type === "error"), data});
+    } catch {
+        return {
+            message: `Execution reverted with an unknown custom error (selector: ${data.slice(0, 10)})`,
+            kind: "custom-error"
+        };
+    }
+
+    const {abiItem, args, errorName} = decoded;
+    const selector = data.slice(0, 10).toLowerCase();
+    if (errorName === "Error" && selector === ERROR_SELECTOR) {
+        return {message: `Execution reverted: ${args[0]}`, kind: "require-string", reason: args[0]};
+    }
+    if (errorName === "Panic" && selector === PANIC_SELECTOR) {
+        const panicCode = BigInt(args[0]);
+        const panicReason = PANIC_REASONS[Number(panicCode)] || "Unknown panic code";
+        return {
+            message: `Execution reverted with panic code 0x${panicCode.toString(16)}: ${panicReason}`,
+            kind: "panic", panicCode, panicReason
+        };
+    }
+    const errorArgs = normalizeErrorArgs(abiItem, args || []);
+    return {
+        message: `Execution reverted with custom error ${errorName}(${(args || []).map(String).join(", ")})`,
+        kind: "custom-error", errorName, errorArgs
+    };
+}
+
+/**
+ * Builds a CommonContractError from raw revert data, decoding
+ * it with the contract ABI.
+ * @param data The revert data.
+ * @param abi The contract ABI.
+ * @param native The native error, if any.
+ * @returns {CommonContractError} The normalized error.
+ */
+function revertDataToError(data, abi, native) {
+    const {message, ...details} = decodeRevertData(abi, data);
+    return new CommonContractError(message, {...details, data, native});
+}
+
+/**
+ * Converts an error thrown by a contract call or transaction (in either
+ * ethers or viem) into a CommonContractError, decoding the revert data
+ * with the contract ABI. Errors that are not recognized as contract
+ * failures are returned as they are.
+ * @param error The native error.
+ * @param abi The contract ABI.
+ * @returns {CommonContractError|*} The normalized error, or the given one.
+ */
+function toCommonContractError(error, abi) {
+    if (error instanceof CommonContractError) return error;
+
+    // Empty revert data tells no reason, so it must not hide the
+    // out-of-gas and rejection messages.
+    const data = findRevertData(error);
+    if (data !== undefined && data !== "0x") return revertDataToError(data, abi, error);
+    const outOfGasMessage = findErrorMessage(error, OUT_OF_GAS_PATTERNS);
+    if (outOfGasMessage !== null) {
+        return new CommonContractError(
+            `Execution ran out of gas: ${outOfGasMessage}`, {kind: "out-of-gas", native: error}
+        );
+    }
+    const rejectedMessage = findErrorMessage(error, REJECTED_PATTERNS, REJECTED_CODES);
+    if (rejectedMessage !== null) {
+        return new CommonContractError(
+            `Transaction rejected: ${rejectedMessage}`, {kind: "rejected", native: error}
+        );
+    }
+    if (data !== undefined) return revertDataToError(data, abi, error);
+    return error;
+}
+
+module.exports = {
+    CommonContractError, revertDataToError, toCommonContractError
+}
@@ -0,0 +1,23 @@
+/**
+ * A structured error for missing Ignition deployment data. The `kind` is one of:
+ * - "deployment-not-found": The deployment (directory) does not exist.
+ * - "module-not-found": The deployment has no deployed contracts for the module.
+ * - "address-not-found": The future is not among the deployed addresses.
+ * - "artifact-not-found": The artifact of the future is missing or has no ABI.
+ * The `deploymentId` is always set, while `moduleId` and `futureId` are set
+ * when they apply.
+ */
+class IgnitionDeploymentError extends Error {
+    constructor(message, {kind, deploymentId, moduleId, futureId}) {
+        super(message);
+        this.name = "IgnitionDeploymentError";
+        this.kind = kind;
+        this.deploymentId = deploymentId;
+        this.moduleId = moduleId ?? null;
+        this.futureId = futureId ?? null;
+    }
+}
+
+module.exports = {
+    IgnitionDeploymentError
+}
@@ -0,0 +1,26 @@
+/**
+ * A structured error for a transaction that could not be successfully
+ * waited for. The `kind` is one of:
+ * - "not-found": The transaction is not known by the node.
+ * - "replaced": Another transaction (with the same nonce) was mined instead.
+ * - "cancelled": Like "replaced", but the other transaction is a zero-value
+ *   transfer to its own sender.
+ * - "timeout": The transaction was not mined (and confirmed) in time.
+ * The `hash` is always set, while `receipt` (the normalized receipt of the
+ * replacement transaction) and `replacement` (the hash of the
+ * replacement transaction) are set when they apply.
+ */
+class TransactionError extends Error {
+    constructor(message, {kind, hash, receipt, replacement}) {
+        super(message);
+        this.name = "TransactionError";
+        this.kind = kind;
+        this.hash = hash;
+        this.receipt = receipt ?? null;
+        this.replacement = replacement ?? null;
+    }
+}
+
+module.exports = {
+    TransactionError
+}
@@ -0,0 +1,243 @@
+const path = require("path");
+const fs = require("fs");
+const {toHex} = require("viem");
+const {getEventTopic} = require("./common");
+const {encodeTopics} = require("../abi/topics");
+const {isChunked, iterateLogChunks, collectLogs} = require("./chunks");
+const {DEFAULT_REORG_DEPTH} = require("./polling");
+
+/**
+ * Gets the directory where the logs are cached.
+ * @param hre The hardhat runtime environment.
+ * @returns {string} The directory.
+ */
+function getLogCacheDir(hre) {
+    return path.resolve(hre.config.paths.cache, "common-logs");
+}
+
+// Gets the cache file for the logs of an event in a contract.
+function getLogCacheFile(hre, chainId, address, topic0) {
+    return path.resolve(getLogCacheDir(hre), `${chainId}`, address.toLowerCase(), `${topic0}.json`);
+}
+
+/**
+ * Clears the cached logs: all of them, the ones of a chain, or the
+ * ones of a contract in a chain.
+ * @param hre The hardhat runtime environment.
+ * @param options The options: {chainId, address}. The address is
+ * only taken into account when the chain id is given.
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function clearLogCache(hre, options) {
+    const {chainId, address} = options || {};
+    let dir = getLogCacheDir(hre);
+    if (chainId !== undefined && chainId !== null) {
+        dir = path.resolve(dir, `${chainId}`);
+        if (address) dir = path.resolve(dir, address.toLowerCase());
+    }
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+// Loads a cache entry: {ranges, hashes, logs}, where the ranges are
+// the (merged, sorted) [from, to] block ranges already fetched, the
+// hashes are the (sorted) [number, hash] of the fetched blocks which
+// are within the reorg depth of the highest fetched one, and the logs
+// are the raw (JSON-RPC) logs.
+function loadEntry(file) {
+    try {
+        const {ranges, hashes, logs} = JSON.parse(fs.readFileSync(file, {encoding: "utf8"}));
+        return {
+            ranges: ranges.map(([from, to]) => [BigInt(from), BigInt(to)]),
+            hashes: hashes.map(([number, hash]) => [BigInt(number), hash]),
+            logs
+        };
+    } catch(e) {
+        return {ranges: [], hashes: [], logs: []};
+    }
+}
+
+// Saves a cache entry (atomically, so an interrupted write does
+// not leave a corrupted entry).
+function saveEntry(file, {ranges, hashes, logs}) {
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    const content = JSON.stringify({
+        ranges: ranges.map(([from, to]) => [from.toString(), to.toString()]),
+        hashes: hashes.map(([number, hash]) => [number.toString(), hash]),
+        logs
+    });
+    fs.writeFileSync(file + ".tmp", content, {encoding: "utf8"});
+    fs.renameSync(file + ".tmp", file);
+}
+
+// Sorts and merges adjacent or overlapping ranges.
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)));
+    const merged = [];
+    for (const [from, to] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && from <= last[1] + 1n) {
+            if (to > last[1]) last[1] = to;
+        } else {
+            merged.push([from, to]);
+        }
+    }
+    return merged;
+}
+
+// Gets the sub-ranges of [from, to] not covered by the (merged) ranges.
+function getMissingRanges(ranges, from, to) {
+    const missing = [];
+    let cursor = from;
+    for (const [rangeFrom, rangeTo] of ranges) {
+        if (rangeTo < cursor) continue;
+        if (rangeFrom > to) break;
+        if (rangeFrom > cursor) missing.push([cursor, rangeFrom - 1n]);
+        cursor = rangeTo + 1n;
+        if (cursor > to) break;
+    }
+    if (cursor <= to) missing.push([cursor, to]);
+    return missing;
+}
+
+// Gets the hash of a block, or null if it does not exist.
+async function getBlockHash(hre, blockNumber) {
+    const block = await hre.network.provider.request({
+        method: "eth_getBlockByNumber", params: [toHex(blockNumber), false]
+    });
+    return block ? block.hash : null;
+}
+
+// Detects dropped blocks, from the newest hashed one, until a block
+// still in the chain is found. Then, the cached blocks after that one
+// are dropped (all of them, if no hashed block is still in the chain).
+async function dropReorgedBlocks(hre, entry) {
+    const {ranges, hashes, logs} = entry;
+    if (!hashes.length) return entry;
+    for (let index = hashes.length - 1; index >= 0; index--) {
+        const [blockNumber, hash] = hashes[index];
+        if ((await getBlockHash(hre, blockNumber)) !== hash) continue;
+        if (index === hashes.length - 1) return entry;
+        return {
+            ranges: ranges.filter(([from]) => from <= blockNumber).map(
+                ([from, to]) => [from, to < blockNumber ? to : blockNumber]
+            ),
+            hashes: hashes.slice(0, index + 1),
+            logs: logs.filter((log) => BigInt(log.blockNumber) <= blockNumber)
+        };
+    }
+    return {ranges: [], hashes: [], logs: []};
+}
+
+// Gets the hashes of the blocks in the missing ranges which will be
+// within the reorg depth of the highest fetched block.
+async function getMissingHashes(hre, entry, missing, reorgDepth) {
+    const lastRange = entry.ranges[entry.ranges.length - 1];
+    let tipNumber = missing[missing.length - 1][1];
+    if (lastRange && lastRange[1] > tipNumber) tipNumber = lastRange[1];
+    const hashes = [];
+    for (const [rangeFrom, rangeTo] of missing) {
+        const firstHashed = rangeFrom > tipNumber - reorgDepth ? rangeFrom : tipNumber - reorgDepth;
+        for (let blockNumber = firstHashed; blockNumber <= rangeTo; blockNumber++) {
+            hashes.push([blockNumber, await getBlockHash(hre, blockNumber)]);
+        }
+    }
+    return {tipNumber, hashes};
+}
+
+// Resolves a block number or tag to a BigInt block number.
+async function resolveBlockNumber(hre, block) {
+    if (typeof block === "bigint" || typeof block === "number" || /^(0x)?[0-9a-fA-F]+$/.test(block)) {
+        return BigInt(block);
+    }
+    if (block === "latest") {
+        return BigInt(await hre.network.provider.request({method: "eth_blockNumber", params: []}));
+    }
+    const blockData = await hre.network.provider.request({method: "eth_getBlockByNumber", params: [block, false]});
+    if (!blockData) throw new Error(`Block "${block}" not found`);
+    return BigInt(blockData.number);
+}
+
+// Tells whether a raw log matches the (encoded) indexed topics.
+function matchesTopics(log, topics) {
+    return topics.every((topic, index) => {
+        if (topic === null) return true;
+        const logTopic = (log.topics[index + 1] || "").toLowerCase();
+        return (Array.isArray(topic) ? topic : [topic]).some((item) => item.toLowerCase() === logTopic);
+    });
+}
+
+/**
+ * Gets the logs of a certain event from a contract, through an on-disk
+ * cache keyed by chain id, contract address and event topic. Only the
+ * block ranges which were not fetched before are queried. The hashes of
+ * the fetched blocks are kept for `reorgDepth` blocks and, if a reorg
+ * drops some of them, the cached blocks from the first dropped one on
+ * are fetched again. Filtering by indexed arguments is done over the
+ * cached logs.
+ * @param hre The hardhat runtime environment.
+ * @param address The contract address.
+ * @param eventAbi The event ABI entry.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param indexedArgs The indexed arguments (not encoded).
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay},
+ * and the reorgDepth option (default: 64). Missing ranges are split in
+ * chunks only if `chunkSize` is given.
+ * @param decodeLogs A function converting raw (JSON-RPC) logs into the
+ * normalized logs of the current backend.
+ * @returns {Promise<*[]>} An array of normalized logs (async function).
+ */
+async function fetchCachedLogs(hre, address, eventAbi, fromBlock, toBlock, indexedArgs, options, decodeLogs) {
+    if (eventAbi.anonymous) {
+        throw new Error(`The logs of the anonymous event ${eventAbi.name} cannot be cached`);
+    }
+    const topic0 = getEventTopic(eventAbi);
+    const topics = encodeTopics(eventAbi, indexedArgs);
+    const file = getLogCacheFile(hre, await hre.common.getChainId(), address, topic0);
+    const reorgDepth = BigInt((options && options.reorgDepth) ?? DEFAULT_REORG_DEPTH);
+    const loaded = loadEntry(file);
+    const entry = await dropReorgedBlocks(hre, loaded);
+
+    // Fetch the missing ranges (never beyond the current block).
+    const latest = await resolveBlockNumber(hre, "latest");
+    const from = await resolveBlockNumber(hre, fromBlock ?? 0);
+    let to = await resolveBlockNumber(hre, toBlock ?? "latest");
+    if (to > latest) to = latest;
+    const missing = getMissingRanges(entry.ranges, from, to);
+    if (missing.length) {
+        // The hashes are taken before querying, so a reorg in the
+        // meantime is detected in the next fetch.
+        const {tipNumber, hashes} = await getMissingHashes(hre, entry, missing, reorgDepth);
+        const fetchRange = async (rangeFrom, rangeTo) => await hre.network.provider.request({
+            method: "eth_getLogs", params: [{
+                address, topics: [topic0], fromBlock: toHex(rangeFrom), toBlock: toHex(rangeTo)
+            }]
+        });
+        for (const [rangeFrom, rangeTo] of missing) {
+            const logs = isChunked(options) ? await collectLogs(iterateLogChunks(
+                fetchRange, (block) => resolveBlockNumber(hre, block), rangeFrom, rangeTo, options
+            )) : await fetchRange(rangeFrom, rangeTo);
+            entry.logs.push(...logs.filter((log) => !log.removed));
+        }
+        entry.ranges = mergeRanges([...entry.ranges, ...missing]);
+        entry.hashes = [...entry.hashes, ...hashes].filter(
+            ([blockNumber]) => blockNumber >= tipNumber - reorgDepth
+        ).sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)));
+        entry.logs.sort((a, b) => {
+            const blockDiff = BigInt(a.blockNumber) - BigInt(b.blockNumber);
+            return blockDiff !== 0n ? (blockDiff < 0n ? -1 : 1) : Number(a.logIndex) - Number(b.logIndex);
+        });
+        saveEntry(file, entry);
+    } else if (entry !== loaded) {
+        saveEntry(file, entry);
+    }
+
+    return decodeLogs(entry.logs.filter((log) => {
+        const blockNumber = BigInt(log.blockNumber);
+        return blockNumber >= from && blockNumber <= to && matchesTopics(log, topics);
+    }));
+}
+
+module.exports = {
+    getLogCacheDir, clearLogCache, fetchCachedLogs
+}
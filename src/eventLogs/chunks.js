@@ -0,0 +1,167 @@
+const DEFAULT_CHUNK_SIZE = 2000n;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+// Consecutive successful windows after which a rejected window size
+// is tried again (providers may limit the number of results instead
+// of the range, so denser ranges may be the actual cause).
+const WINDOW_LIMIT_RESET = 10;
+
+// Messages providers use to reject a range that is too large
+// or a query returning too many results.
+const RANGE_ERROR_PATTERNS = [
+    /block range/i, /range too (large|wide|big)/i, /exceed(s|ed)? (the )?max(imum)? (block )?range/i,
+    /too many (results|logs|blocks)/i, /more than \d+ (results|logs)/i, /query returned more than/i,
+    /response size (exceeded|is larger)/i, /(logs?|results?|block range) limit exceeded/i, /query timeout exceeded/i,
+];
+
+// Messages and codes that stand for transient failures.
+const TRANSIENT_ERROR_PATTERNS = [
+    /rate limit/i, /too many requests/i, /\b429\b/, /\b50[234]\b/, /timeout/i, /timed out/i,
+    /ECONNRESET/, /ECONNREFUSED/, /ETIMEDOUT/, /socket hang up/i, /network error/i,
+    /temporarily unavailable/i,
+];
+const TRANSIENT_ERROR_CODES = ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT", -32603];
+
+// Collects all the messages and codes in an error chain. Both
+// ethers and viem nest the actual provider error somewhere.
+function collectErrorDetails(error, details, depth) {
+    details ||= {messages: [], codes: []};
+    depth ||= 0;
+    if (!error || typeof error !== "object" || depth > 8) return details;
+    for (const key of ["message", "shortMessage", "details"]) {
+        if (typeof error[key] === "string") details.messages.push(error[key]);
+    }
+    if (error.code !== undefined) details.codes.push(error.code);
+    for (const key of ["cause", "error", "info"]) {
+        collectErrorDetails(error[key], details, depth + 1);
+    }
+    return details;
+}
+
+/**
+ * Tells whether an error is a provider rejection due to a block range
+ * that is too large, or a query returning too many results.
+ * @param error The error.
+ * @returns {boolean} Whether it is such an error.
+ */
+function isRangeError(error) {
+    const {messages, codes} = collectErrorDetails(error);
+    return codes.includes(-32005) || messages.some(
+        (message) => RANGE_ERROR_PATTERNS.some((pattern) => pattern.test(message))
+    );
+}
+
+/**
+ * Tells whether an error is a transient failure that can be retried.
+ * @param error The error.
+ * @returns {boolean} Whether it is a transient error.
+ */
+function isTransientError(error) {
+    const {messages, codes} = collectErrorDetails(error);
+    return codes.some((code) => TRANSIENT_ERROR_CODES.includes(code)) || messages.some(
+        (message) => TRANSIENT_ERROR_PATTERNS.some((pattern) => pattern.test(message))
+    );
+}
+
+/**
+ * Normalizes the chunking options.
+ * @param options The options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {{chunkSize: bigint, maxRetries: number, retryDelay: number}} The normalized options.
+ */
+function normalizeChunkOptions(options) {
+    const {chunkSize, maxRetries, retryDelay} = options || {};
+    const normalized = {
+        chunkSize: BigInt(chunkSize ?? DEFAULT_CHUNK_SIZE),
+        maxRetries: Number(maxRetries ?? DEFAULT_MAX_RETRIES),
+        retryDelay: Number(retryDelay ?? DEFAULT_RETRY_DELAY)
+    };
+    if (normalized.chunkSize < 1n) {
+        throw new Error("The chunk size must be a positive number of blocks");
+    }
+    return normalized;
+}
+
+/**
+ * Tells whether chunking was requested in the given options.
+ * @param options The options.
+ * @returns {boolean} Whether chunking was requested.
+ */
+function isChunked(options) {
+    return !!options && options.chunkSize !== undefined && options.chunkSize !== null;
+}
+
+/**
+ * Iterates over the logs in a block range by splitting it into windows.
+ * The window is halved when the provider rejects the range as too large
+ * (or returning too many results) and grows back on success, without
+ * reaching the rejected size again for a while. Transient failures are
+ * retried with an exponential backoff.
+ * @param fetchRange An async function taking (fromBlock, toBlock), both
+ * BigInt, and returning the normalized logs in that range.
+ * @param resolveBlockNumber An async function converting a block number
+ * or tag to a BigInt block number.
+ * @param fromBlock The start block (number or tag).
+ * @param toBlock The end block (number or tag).
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {AsyncGenerator<*>} An async iterator of normalized logs.
+ */
+async function* iterateLogChunks(fetchRange, resolveBlockNumber, fromBlock, toBlock, options) {
+    const {chunkSize, maxRetries, retryDelay} = normalizeChunkOptions(options);
+    let from = await resolveBlockNumber(fromBlock);
+    const to = await resolveBlockNumber(toBlock);
+    let windowSize = chunkSize;
+    let windowLimit = chunkSize;
+    let successes = 0;
+    let retries = 0;
+
+    while (from <= to) {
+        const windowEnd = from + windowSize - 1n < to ? from + windowSize - 1n : to;
+        let logs;
+        try {
+            logs = await fetchRange(from, windowEnd);
+        } catch(e) {
+            // Transient errors are retried first: a throttled provider
+            // must not make the window shrink. Errors matching both (e.g.
+            // query timeouts) shrink the window once retries run out.
+            if (isTransientError(e) && retries < maxRetries) {
+                await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** retries));
+                retries++;
+                continue;
+            }
+            if (isRangeError(e) && windowSize > 1n) {
+                windowLimit = windowSize - 1n;
+                windowSize /= 2n;
+                successes = 0;
+                retries = 0;
+                continue;
+            }
+            throw e;
+        }
+
+        retries = 0;
+        for (const log of logs) yield log;
+        from = windowEnd + 1n;
+        if (++successes >= WINDOW_LIMIT_RESET) {
+            windowLimit = chunkSize;
+            successes = 0;
+        }
+        if (windowSize < windowLimit) {
+            windowSize = windowSize * 2n < windowLimit ? windowSize * 2n : windowLimit;
+        }
+    }
+}
+
+/**
+ * Collects all the logs of an async iterator into an array.
+ * @param iterator The async iterator.
+ * @returns {Promise<*[]>} The array of logs (async function).
+ */
+async function collectLogs(iterator) {
+    const logs = [];
+    for await (const log of iterator) logs.push(log);
+    return logs;
+}
+
+module.exports = {
+    isRangeError, isTransientError, isChunked, iterateLogChunks, collectLogs
+}
@@ -0,0 +1,124 @@
+const {parseAbiItem, toEventSignature, toEventSelector} = require("viem");
+
+/**
+ * Gets the canonical signature of an event ABI entry, which is the
+ * one used to compute its topic0 (e.g. "Foo(uint256,(address,bool))").
+ * @param eventAbi The event ABI entry.
+ * @returns {string} The canonical signature.
+ */
+function getEventSignature(eventAbi) {
+    return toEventSignature(eventAbi);
+}
+
+/**
+ * Gets the topic0 of an event ABI entry.
+ * @param eventAbi The event ABI entry.
+ * @returns {string} The topic0 hash.
+ */
+function getEventTopic(eventAbi) {
+    return toEventSelector(eventAbi);
+}
+
+// Parses a human-readable event specification into an ABI entry.
+function parseEventSpec(eventSpec) {
+    const text = eventSpec.trim();
+    try {
+        return parseAbiItem(text.startsWith("event ") ? text : `event ${text}`);
+    } catch(e) {
+        throw new Error(`Invalid event specification "${eventSpec}": ${e.shortMessage || e.message}`);
+    }
+}
+
+/**
+ * Resolves an event specification against an ABI. The specification
+ * can be one of these formats, and they are all resolved in the same
+ * way, regardless of the library in use:
+ * - A bare name: "SampleEvent". It must not be overloaded.
+ * - A type-only signature: "SampleEvent(bytes32,uint256,int256,string)".
+ * - A full human-readable signature: "SampleEvent(bytes32 indexed foo, ...)".
+ *   The "event" prefix is optional.
+ * - A topic0 hash: "0x...".
+ * @param abi The contract ABI (an array of ABI entries).
+ * @param eventSpec The event specification.
+ * @returns {*} The matching ABI entry, as it is in the ABI.
+ */
+function resolveEvent(abi, eventSpec) {
+    if (typeof eventSpec !== "string" || !eventSpec.trim()) {
+        throw new Error("The event specification must be a non-empty string");
+    }
+    const events = abi.filter((item) => item.type === "event");
+
+    // CASE 1: A topic0 hash is provided → Match against the selectors.
+    if (/^0x[0-9a-fA-F]{64}$/.test(eventSpec)) {
+        const topic = eventSpec.toLowerCase();
+        const matchingEvent = events.find((item) => getEventTopic(item) === topic);
+        if (!matchingEvent) {
+            throw new Error(`No event with topic "${eventSpec}" was found in the contract ABI.`);
+        }
+        return matchingEvent;
+    }
+
+    // CASE 2: Only event name is provided → It must not be ambiguous.
+    if (!eventSpec.includes("(")) {
+        const name = eventSpec.trim();
+        const matchingEvents = events.filter((item) => item.name === name);
+        if (matchingEvents.length === 0) {
+            throw new Error(`Event "${name}" not found in contract ABI.`);
+        }
+        if (matchingEvents.length > 1) {
+            throw new Error(
+                `Event "${name}" is ambiguous in the contract ABI. Use one of these ` +
+                `signatures instead: ${matchingEvents.map(getEventSignature).join(", ")}.`
+            );
+        }
+        return matchingEvents[0];
+    }
+
+    // CASE 3: A signature (type-only or full) is provided → Match the canonical signature.
+    const signature = getEventSignature(parseEventSpec(eventSpec));
+    const matchingEvent = events.find((item) => getEventSignature(item) === signature);
+    if (!matchingEvent) {
+        throw new Error(`Event specification "${eventSpec}" not found in contract ABI.`);
+    }
+    return matchingEvent;
+}
+
+/**
+ * Builds the normalized entry of a log that could not be decoded by
+ * any ABI entry. Its name and args are null, and the raw topics and
+ * data are kept in the entry. Like the decoded entries, the block
+ * number is always a BigInt.
+ * @param log The native log.
+ * @param logIndex The log index (its key differs between libraries).
+ * @returns {{args: null, native, name: null, blockNumber, blockHash, transactionIndex, transactionHash, logIndex, topics, data}}
+ * The raw entry.
+ */
+function makeRawLog(log, logIndex) {
+    return {
+        name: null, args: null,
+        blockNumber: BigInt(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionIndex: log.transactionIndex,
+        transactionHash: log.transactionHash,
+        logIndex,
+        topics: [...log.topics],
+        data: log.data,
+        native: log
+    };
+}
+
+/**
+ * Sorts normalized logs by (blockNumber, logIndex), in place.
+ * @param logs The normalized logs.
+ * @returns {*[]} The same array, sorted.
+ */
+function sortLogs(logs) {
+    const compare = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+    return logs.sort((a, b) => compare(
+        BigInt(a.blockNumber), BigInt(b.blockNumber)
+    ) || compare(a.logIndex, b.logIndex));
+}
+
+module.exports = {
+    getEventSignature, getEventTopic, resolveEvent, makeRawLog, sortLogs
+}
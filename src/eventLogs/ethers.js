@@ -1,4 +1,100 @@
 const {parseEventLogs} = require("viem");
+const {getTransactionHash} = require("../transactions/common");
+const {getEventTopic, resolveEvent, makeRawLog, sortLogs} = require("./common");
+const {encodeTopics} = require("../abi/topics");
+const {isChunked, iterateLogChunks, collectLogs} = require("./chunks");
+const {normalizeWatchArgs, isPolling, pollLogs} = require("./polling");
+const {fetchCachedLogs} = require("./cache");
+
+// Converts a raw (JSON-RPC) log into an ethers log.
+function toEthersLog(hre, log) {
+    return new hre.ethers.Log({
+        transactionHash: log.transactionHash,
+        blockHash: log.blockHash,
+        blockNumber: Number(log.blockNumber),
+        removed: !!log.removed,
+        address: hre.ethers.getAddress(log.address),
+        data: log.data,
+        topics: log.topics,
+        index: Number(log.logIndex),
+        transactionIndex: Number(log.transactionIndex),
+    }, hre.ethers.provider);
+}
+
+// Builds a function that fetches (and normalizes) the logs
+// of a certain event from the contract, in a block range.
+function makeLogsQuery(hre, contract, eventName, indexedArgs) {
+    const provider = hre.ethers.provider;
+    const iface = contract.interface;
+    indexedArgs ||= [];
+
+    // Find event details in ABI.
+    const eventFragment = getEventFragment(contract, eventName);
+
+    // Prepare topics array (first topic is event signature).
+    const topics = [hre.ethers.id(eventFragment.format()), ...encodeTopics(eventFragment, indexedArgs)];
+
+    return async (fromBlock, toBlock) => {
+        // Construct the filter.
+        const filter = {
+            address: contract.target,
+            fromBlock, toBlock,
+            topics,
+        };
+
+        // Fetch logs.
+        const logs = await provider.getLogs(filter);
+
+        // Decode logs into readable event data.
+        return logs.map((entry) => normalizeLog(iface, entry));
+    };
+}
+
+// Builds a function that fetches (and normalizes) the logs of
+// all the events (or some of them) from the contract, in a block
+// range, sorted by (blockNumber, logIndex).
+function makeAllLogsQuery(hre, contract, eventNames) {
+    const provider = hre.ethers.provider;
+    const iface = contract.interface;
+
+    // When events are given, the first topic will be any
+    // of the selected event signatures.
+    const topics = eventNames ? [eventNames.map(
+        (eventName) => getEventFragment(contract, eventName).topicHash
+    )] : undefined;
+
+    return async (fromBlock, toBlock) => {
+        // Fetch logs and decode them into readable event data.
+        const logs = await provider.getLogs({address: contract.target, fromBlock, toBlock, topics});
+        return sortLogs(logs.map((entry) => normalizeLog(iface, entry)));
+    };
+}
+
+// Resolves a block number or tag to a BigInt block number.
+async function resolveBlockNumber(hre, block) {
+    if (typeof block === "bigint" || typeof block === "number" || /^(0x)?[0-9a-fA-F]+$/.test(block)) {
+        return BigInt(block);
+    }
+    if (block === "latest") {
+        return BigInt(await hre.ethers.provider.getBlockNumber());
+    }
+    const blockData = await hre.ethers.provider.getBlock(block);
+    if (!blockData) throw new Error(`Block "${block}" not found`);
+    return BigInt(blockData.number);
+}
+
+// Runs a logs query either once for the whole range or,
+// when chunking is requested, in many chunks.
+async function runLogsQuery(hre, query, fromBlock, toBlock, options) {
+    fromBlock ??= 0;
+    toBlock ??= "latest";
+    if (isChunked(options)) {
+        return await collectLogs(iterateLogChunks(
+            query, (block) => resolveBlockNumber(hre, block), fromBlock, toBlock, options
+        ));
+    }
+    return await query(fromBlock, toBlock);
+}
 
 /**
  * Gets the logs of a certain event from the contract.
@@ -9,38 +105,103 @@ const {parseEventLogs} = require("viem");
  * @param toBlock The end block. Will be "latest" if not given.
  * @param indexedArgs The indexed arguments. They must not be
  * encoded, for they will later be.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay},
+ * and the cache options: {cache, reorgDepth}. The range is split in chunks
+ * only if `chunkSize` is given, and the logs are cached on disk only if
+ * `cache` is true.
  * @returns {Promise<*>} An array of logs (async function).
  */
 async function fetchLogs(
     hre,
     contract, eventName,
     fromBlock, toBlock,
-    indexedArgs
+    indexedArgs, options
 ) {
-    const provider = hre.ethers.provider;
-    const iface = contract.interface;
-    indexedArgs ||= [];
-
-    // Find event details in ABI.
-    const eventFragment = iface.getEvent(eventName);
-    if (!eventFragment) throw new Error(`Event "${eventName}" not found in ABI`);
+    if (options && options.cache) {
+        const iface = contract.interface;
+        const eventAbi = resolveEvent(JSON.parse(iface.formatJson()), eventName);
+        return await fetchCachedLogs(
+            hre, contract.target, eventAbi, fromBlock, toBlock, indexedArgs, options,
+            (logs) => logs.map((log) => normalizeLog(iface, toEthersLog(hre, log)))
+        );
+    }
+    const query = makeLogsQuery(hre, contract, eventName, indexedArgs);
+    return await runLogsQuery(hre, query, fromBlock, toBlock, options);
+}
 
-    // Prepare topics array (first topic is event signature).
-    const topics = [hre.ethers.id(eventFragment.format()), ...encodeTopics(hre, eventFragment, indexedArgs)];
-
-    // Construct the filter.
-    const filter = {
-        address: contract.target,
-        fromBlock: fromBlock ?? 0,
-        toBlock: toBlock ?? "latest",
-        topics,
-    };
+/**
+ * Iterates over the logs of a certain event from the contract, fetching
+ * them in chunks of blocks. The logs are never held in memory at once.
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param eventName The name, or specification, of the event.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param indexedArgs The indexed arguments. They must not be
+ * encoded, for they will later be.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {AsyncGenerator<*>} An async iterator of logs.
+ */
+async function* iterateLogs(
+    hre,
+    contract, eventName,
+    fromBlock, toBlock,
+    indexedArgs, options
+) {
+    yield* iterateLogChunks(
+        makeLogsQuery(hre, contract, eventName, indexedArgs),
+        (block) => resolveBlockNumber(hre, block),
+        fromBlock ?? 0, toBlock ?? "latest", options
+    );
+}
 
-    // Fetch logs.
-    const logs = await provider.getLogs(filter);
+/**
+ * Gets the logs of all the events (or some of them) from the contract.
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param eventNames The names, or specifications, of the events to
+ * retrieve. All the events will be retrieved if not given.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * The range is split in chunks only if `chunkSize` is given.
+ * @returns {Promise<*>} An array of logs, sorted by (blockNumber, logIndex)
+ * (async function).
+ */
+async function fetchAllLogs(
+    hre,
+    contract,
+    fromBlock, toBlock,
+    eventNames, options
+) {
+    const query = makeAllLogsQuery(hre, contract, eventNames);
+    return await runLogsQuery(hre, query, fromBlock, toBlock, options);
+}
 
-    // Decode logs into readable event data.
-    return logs.map((entry) => normalizeLog(iface, entry));
+/**
+ * Iterates over the logs of all the events (or some of them) from the
+ * contract, fetching them in chunks of blocks. The logs are never held
+ * in memory at once, and come sorted by (blockNumber, logIndex).
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param eventNames The names, or specifications, of the events to
+ * retrieve. All the events will be retrieved if not given.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {AsyncGenerator<*>} An async iterator of logs.
+ */
+async function* iterateAllLogs(
+    hre,
+    contract,
+    fromBlock, toBlock,
+    eventNames, options
+) {
+    yield* iterateLogChunks(
+        makeAllLogsQuery(hre, contract, eventNames),
+        (block) => resolveBlockNumber(hre, block),
+        fromBlock ?? 0, toBlock ?? "latest", options
+    );
 }
 
 /**
@@ -52,27 +213,35 @@ async function fetchLogs(
  * encoded, for they will later be. Also, instead, the callback
  * can be given if no indexed arguments are intended.
  * @param callback The callback, if indexed arguments are given.
+ * @param options The watch options: {polling, pollingInterval, confirmations,
+ * reorgDepth, onRemoved}. The polling mode (an eth_getLogs loop over the new
+ * blocks) is used if `polling` is true or `confirmations` is given.
  * @returns {Promise<*>} A function to un-watch this watch (async function).
  */
 async function watchLogs(
     hre,
     contract, eventName, indexedArgs,
-    callback
+    callback, options
 ) {
     const iface = contract.interface;
-    if (callback === undefined) {
-        callback = indexedArgs;
-        indexedArgs = undefined;
+    ({indexedArgs, callback, options} = normalizeWatchArgs(indexedArgs, callback, options));
+
+    if (isPolling(options)) {
+        const provider = hre.ethers.provider;
+        return await pollLogs(
+            makeLogsQuery(hre, contract, eventName, indexedArgs),
+            async () => BigInt(await provider.getBlockNumber()),
+            async (blockNumber) => (await provider.getBlock(blockNumber))?.hash ?? null,
+            callback, options
+        );
     }
-    indexedArgs ||= [];
 
     // Find event details in ABI.
-    const eventFragment = iface.getEvent(eventName);
-    if (!eventFragment) throw new Error(`Event "${eventName}" not found in ABI`);
+    const eventFragment = getEventFragment(contract, eventName);
 
     const filter = [
         hre.ethers.id(eventFragment.format()),
-        ...encodeTopics(hre, eventFragment, indexedArgs)
+        ...encodeTopics(eventFragment, indexedArgs)
     ];
     const wrappedCallback = (...args) => {
         const lastIndex = args.length - 1;
@@ -82,6 +251,12 @@ async function watchLogs(
     return async () => await contract.off(filter, wrappedCallback);
 }
 
+// Gets the event fragment for an event name or specification in a contract.
+function getEventFragment(contract, eventName) {
+    const abi = JSON.parse(contract.interface.formatJson());
+    return contract.interface.getEvent(getEventTopic(resolveEvent(abi, eventName)));
+}
+
 /**
  * Stops a watch.
  * @param hre The hardhat runtime environment.
@@ -104,14 +279,18 @@ async function unWatchLogs(
  * field will still remain specific.
  * @param iface The interface to use for decoding.
  * @param entry The native entry to normalize.
- * @returns {{args: {}, native, name, blockNumber, blockHash, transactionIndex, transactionHash, logIndex}|null}
+ * @returns {{args: {}, native, name, blockNumber, blockHash, transactionIndex, transactionHash, logIndex}}
  * An object with the result, being {args, native, name} where `name` is the name part of the event,
  * `native` is the event itself, and `args` is the set of arguments passed to the event, both by key
- * and by index. Returns null if there was no ABI entry that could parse the event.
+ * and by index. If there was no ABI entry that could parse the event, a raw entry is returned instead,
+ * with null `name` and `args`, and the raw `topics` and `data`.
  */
 function normalizeLog(iface, entry) {
-    const log = iface.parseLog(entry);
-    if (!log) return null;
+    let log = null;
+    try {
+        log = iface.parseLog(entry);
+    } catch {}
+    if (!log) return makeRawLog(entry, entry.index);
     const argKeys = log.fragment.inputs.map(i => i.name);
     const args = {};
     argKeys.forEach((key, index) => {
@@ -120,7 +299,7 @@ function normalizeLog(iface, entry) {
     });
     return {
         name: log.name, args,
-        blockNumber: entry.blockNumber,
+        blockNumber: BigInt(entry.blockNumber),
         blockHash: entry.blockHash,
         transactionIndex: entry.transactionIndex,
         transactionHash: entry.transactionHash,
@@ -129,84 +308,39 @@ function normalizeLog(iface, entry) {
     };
 }
 
-// Encodes the given values to be used as topics.
-function encodeTopics(hre, eventFragment, indexedArgs) {
-    const topics = [];
-    let index = 0;
-    for (const param of eventFragment.inputs) {
-        if (param.indexed) {
-            const value = indexedArgs[eventFragment.name] ?? indexedArgs[index++];
-            if (value !== undefined) {
-                topics.push(encodeIndexedValue(hre, param.type, value));
-            } else {
-                topics.push(null);
-            }
-        }
-    }
-    return topics;
-}
-
-const uintTypes = [];
-const intTypes = [];
-const bytesTypes = [];
-
-for(let j = 1; j <= 32; j++) {
-    uintTypes.push(`uint${j * 8}`);
-    intTypes.push(`int${j * 8}`);
-    bytesTypes.push(`bytes${j}`);
-}
-
-// Encodes an indexed value.
-function encodeIndexedValue(hre, type, value, cannotBeArrayOrNull) {
-    const ethers = hre.ethers;
-
-    // If array/null are allowed by this point, test
-    // for arrays or null values and return appropriately.
-    cannotBeArrayOrNull ||= false;
-    if (!cannotBeArrayOrNull) {
-        if (value === null) return null;
-        if (Array.isArray(value)) return value.map((v) => encodeIndexedValue(type, v, true));
-    }
-
-    // By this point, this null check will only occur
-    // if array/null values is not allowed. In this
-    // case, an error will be thrown.
-    if (value === null) throw new Error(`null cannot be an individual topic in an array`);
-
-    // By this point, we don't care about arrays or
-    // null values, but test against the types instead.
-    if (type === "address") {
-        return ethers.zeroPadValue(value, 32); // Address encoding
-    } else if (uintTypes.indexOf(type) >= 0) {
-        return ethers.zeroPadValue(ethers.toBeHex(value, 32), 32); // Uint encoding
-    } else if (intTypes.indexOf(type) >= 0) {
-        return ethers.zeroPadValue(ethers.toBeHex(ethers.toTwos(value, 256), 32), 32); // Signed int encoding
-    } else if (type === "bool") {
-        return ethers.zeroPadValue(ethers.toBeHex(value ? 1 : 0, 32), 32); // Boolean encoding (true = 1, false = 0)
-    } else if (bytesTypes.indexOf(type) >= 0) {
-        return ethers.zeroPadValue(value, 32); // Zero-pad fixed bytes types (bytes1 to bytes32)
-    }
-    throw new Error(`Unsupported indexed type: ${type}`);
-}
-
 /**
  * Get the logs for a certain event from the contract for a transaction.
  * @param hre The hardhat runtime environment.
  * @param contract The contract instance.
  * @param eventName The name, or specification, of the event.
- * @param tx The transaction, as returned from hre.common.send (i.e. a Contract Transaction Response).
+ * @param tx The transaction, as returned from hre.common.send or hre.common.transfer, or its hash.
  * @param eventName The name of the event.
  * @returns {Promise<{args: {}, native, name}[]>} The list of normalized events (async function).
  */
-async function fetchTransactionLogs(hre, contract, {hash}, eventName) {
-    // Here, tx is a string, as returned from hre.common.send().
+async function fetchTransactionLogs(hre, contract, tx, eventName) {
+    const hash = getTransactionHash(tx);
     const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
     const iface = contract.interface;
-    return receipt.logs.map((log) => normalizeLog(iface, log)).filter((e) => e).filter(
-        ({name, native: {signature}}) => name === eventName || signature === eventName
-    );
+    const topic = getEventFragment(contract, eventName).topicHash;
+    return receipt.logs.filter((log) => log.topics[0] === topic).map((log) => normalizeLog(iface, log));
+}
+
+/**
+ * Decodes a raw (JSON-RPC) log, trying many event ABI entries in turn.
+ * @param hre The hardhat runtime environment.
+ * @param eventAbis The candidate event ABI entries.
+ * @param log The raw log.
+ * @returns {*} The normalized log, or a raw entry if no event could decode it.
+ */
+function decodeRawLog(hre, eventAbis, log) {
+    const entry = toEthersLog(hre, log);
+    for (const eventAbi of eventAbis) {
+        const normalized = normalizeLog(new hre.ethers.Interface([eventAbi]), entry);
+        if (normalized.name !== null) return normalized;
+    }
+    return makeRawLog(entry, entry.index);
 }
 
 module.exports = {
-    fetchLogs, watchLogs, fetchTransactionLogs
+    fetchLogs, fetchAllLogs, iterateLogs, iterateAllLogs, watchLogs, fetchTransactionLogs, decodeRawLog
 }
\ No newline at end of file
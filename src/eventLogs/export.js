@@ -0,0 +1,193 @@
+const fs = require("fs");
+const {once} = require("events");
+const {toHex} = require("viem");
+const {getEventTopic, getEventSignature, resolveEvent} = require("./common");
+
+// The default chunk size to fetch the logs to export.
+const DEFAULT_CHUNK_SIZE = 2000n;
+
+// Serializes a value deterministically (the same for ethers and viem),
+// given its ABI parameter: integers become decimal strings, bytes become
+// lowercase hex strings, arrays become arrays, and tuples become objects
+// (by name) or arrays (when any component is unnamed).
+function serializeValue(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[\d*]$/);
+    if (arrayMatch) {
+        return Array.from(value, (item) => serializeValue({...param, type: arrayMatch[1]}, item));
+    }
+    if (param.type === "tuple") {
+        const named = param.components.every((component) => component.name);
+        const items = param.components.map((component, index) => serializeValue(
+            component, Array.isArray(value) ? value[index] : value[component.name] ?? value[index]
+        ));
+        return named ? Object.fromEntries(param.components.map((component, index) => [
+            component.name, items[index]
+        ])) : items;
+    }
+    if (/^u?int\d*$/.test(param.type)) return BigInt(value).toString();
+    if (value instanceof Uint8Array) return toHex(value);
+    if (typeof value === "string" && /^bytes\d*$/.test(param.type)) return value.toLowerCase();
+    return value;
+}
+
+// Gets the key of an arg (its name or, if unnamed, its position).
+function getArgKey(input, index) {
+    return input.name || String(index);
+}
+
+// Converts a normalized log into an export row. The args are
+// serialized according to the event ABI, which is matched by
+// the log's first topic.
+function toRow(log, eventsByTopic, timestamp) {
+    const topics = log.topics || (log.native && log.native.topics) || [];
+    const eventAbi = log.name !== null ? eventsByTopic[topics[0]] : undefined;
+    const row = {
+        blockNumber: Number(log.blockNumber),
+        ...(timestamp !== undefined ? {blockTimestamp: timestamp} : {}),
+        transactionHash: log.transactionHash,
+        transactionIndex: Number(log.transactionIndex),
+        logIndex: Number(log.logIndex),
+        event: eventAbi ? eventAbi.name : null,
+        signature: eventAbi ? getEventSignature(eventAbi) : null,
+        args: null,
+    };
+    if (eventAbi) {
+        row.args = {};
+        eventAbi.inputs.forEach((input, index) => {
+            row.args[getArgKey(input, index)] = serializeValue(input, log.args[index]);
+        });
+    } else {
+        row.topics = [...topics];
+        row.data = log.data ?? (log.native && log.native.data) ?? null;
+    }
+    return row;
+}
+
+// Formats a CSV cell: nested values go in JSON, and the cell is
+// quoted when needed.
+function toCsvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Makes the CSV formatter: the header (columns) and the function
+// converting a row into a line. The args are flattened into columns
+// named like "args.{name}", for all the exported events.
+function makeCsvFormatter(eventAbis, timestamps) {
+    const argKeys = [];
+    for (const eventAbi of eventAbis) {
+        eventAbi.inputs.forEach((input, index) => {
+            const key = getArgKey(input, index);
+            if (!argKeys.includes(key)) argKeys.push(key);
+        });
+    }
+    const columns = [
+        "blockNumber", ...(timestamps ? ["blockTimestamp"] : []), "transactionHash", "transactionIndex",
+        "logIndex", "event", "signature", ...argKeys.map((key) => `args.${key}`), "topics", "data"
+    ];
+    return {
+        header: columns.join(",") + "\n",
+        format: (row) => columns.map((column) => toCsvCell(
+            column.startsWith("args.") ? (row.args ? row.args[column.substring(5)] : undefined) : row[column]
+        )).join(",") + "\n"
+    };
+}
+
+// Makes the JSON Lines formatter.
+function makeJsonlFormatter() {
+    return {header: "", format: (row) => JSON.stringify(row) + "\n"};
+}
+
+// Makes a sink for the exported lines: a file stream (if a file is
+// given), or an in-memory buffer otherwise.
+function makeSink(file) {
+    if (!file) {
+        const chunks = [];
+        return {
+            write: async (text) => { chunks.push(text); },
+            close: async () => chunks.join(""),
+        };
+    }
+    const stream = fs.createWriteStream(file, {encoding: "utf8"});
+    return {
+        write: async (text) => {
+            if (!stream.write(text)) await once(stream, "drain");
+        },
+        close: async () => {
+            stream.end();
+            await once(stream, "finish");
+            return undefined;
+        },
+        destroy: () => stream.destroy(),
+    };
+}
+
+/**
+ * Exports the logs of a contract, to JSON Lines or CSV. The output is the
+ * same for ethers and viem: integers are written as decimal strings, bytes
+ * as lowercase hex strings and addresses as checksum addresses. The logs
+ * are fetched in chunks of blocks and streamed to the file.
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param events The name or specification of an event, or many of them in
+ * an array. All the events are exported if not given.
+ * @param options The options: {from, to, format, file, timestamps, chunkSize,
+ * maxRetries, retryDelay}. The format is "jsonl" (the default, unless the
+ * file ends with .csv) or "csv". When the file is not given, the exported
+ * content is returned instead. When timestamps is true, the block timestamps
+ * are added.
+ * @returns {Promise<{count, file, format, content}>} The number of exported logs,
+ * the file, the format and (if no file was given) the content (async function).
+ */
+async function exportLogs(hre, contract, events, options) {
+    let {from, to, format, file, timestamps, chunkSize, maxRetries, retryDelay} = options || {};
+    format ||= file && file.toLowerCase().endsWith(".csv") ? "csv" : "jsonl";
+    if (format !== "jsonl" && format !== "csv") {
+        throw new Error(`Invalid export format: ${format}. Use one of: jsonl, csv`);
+    }
+
+    // Resolve the exported events upfront, so the args columns are known.
+    const abi = hre.common.getContractAbi(contract);
+    const eventAbis = typeof events === "string" ? [resolveEvent(abi, events)]
+        : events ? events.map((event) => resolveEvent(abi, event))
+        : abi.filter((item) => item.type === "event");
+    const eventsByTopic = Object.fromEntries(eventAbis.map((eventAbi) => [getEventTopic(eventAbi), eventAbi]));
+    const chunkOptions = {chunkSize: chunkSize ?? DEFAULT_CHUNK_SIZE, maxRetries, retryDelay};
+    const logs = typeof events === "string"
+        ? hre.common.iterateLogs(contract, events, from, to, [], chunkOptions)
+        : hre.common.iterateAllLogs(contract, from, to, events, chunkOptions);
+
+    const formatter = format === "csv" ? makeCsvFormatter(eventAbis, timestamps) : makeJsonlFormatter();
+    const sink = makeSink(file);
+    let count = 0;
+    try {
+        await sink.write(formatter.header);
+        // Logs come sorted by block, so only the last timestamp is kept.
+        let lastBlock = null, lastTimestamp;
+        for await (const log of logs) {
+            let timestamp;
+            if (timestamps) {
+                if (lastBlock !== BigInt(log.blockNumber)) {
+                    lastBlock = BigInt(log.blockNumber);
+                    const block = await hre.network.provider.request({
+                        method: "eth_getBlockByNumber", params: [toHex(lastBlock), false]
+                    });
+                    lastTimestamp = Number(block.timestamp);
+                }
+                timestamp = lastTimestamp;
+            }
+            await sink.write(formatter.format(toRow(log, eventsByTopic, timestamp)));
+            count++;
+        }
+    } catch(e) {
+        if (sink.destroy) sink.destroy();
+        throw e;
+    }
+    const content = await sink.close();
+    return {count, file: file || null, format, ...(content === undefined ? {} : {content})};
+}
+
+module.exports = {
+    exportLogs
+}
@@ -0,0 +1,137 @@
+const DEFAULT_POLLING_INTERVAL = 4000;
+const DEFAULT_REORG_DEPTH = 64n;
+
+/**
+ * Normalizes the arguments of a watchLogs call, where the indexed
+ * arguments are optional: (indexedArgs, callback, options) or just
+ * (callback, options).
+ * @param indexedArgs The indexed arguments, or the callback.
+ * @param callback The callback, or the options.
+ * @param options The options.
+ * @returns {{indexedArgs, callback, options}} The normalized arguments.
+ */
+function normalizeWatchArgs(indexedArgs, callback, options) {
+    if (typeof indexedArgs === "function") {
+        options = callback;
+        callback = indexedArgs;
+        indexedArgs = undefined;
+    }
+    return {indexedArgs: indexedArgs || [], callback, options: options || {}};
+}
+
+/**
+ * Tells whether the polling mode was requested in the watch options.
+ * @param options The watch options.
+ * @returns {boolean} Whether to use polling.
+ */
+function isPolling(options) {
+    return !!(options.polling || options.confirmations);
+}
+
+// Invokes a callback, reporting (but not propagating) its errors.
+function safeInvoke(callback, log) {
+    try {
+        callback(log);
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+/**
+ * Starts watching logs by polling (an eth_getLogs loop over the new
+ * blocks), which works regardless of the provider supporting filters
+ * or subscriptions. Logs are delivered once they are `confirmations`
+ * blocks deep. Delivered logs are tracked for `reorgDepth` blocks and,
+ * if a reorg drops them, they are notified via `onRemoved`.
+ * @param query An async function taking (fromBlock, toBlock), both BigInt,
+ * and returning the normalized logs in that range.
+ * @param getBlockNumber An async function returning the latest block number.
+ * @param getBlockHash An async function taking a block number and returning
+ * its hash, or null if the block does not exist.
+ * @param callback The callback to invoke for each new log.
+ * @param options The options: {pollingInterval, confirmations, reorgDepth, onRemoved}.
+ * @returns {Promise<function(): Promise<void>>} A function to un-watch this watch (async function).
+ */
+async function pollLogs(query, getBlockNumber, getBlockHash, callback, options) {
+    const pollingInterval = Number(options.pollingInterval ?? DEFAULT_POLLING_INTERVAL);
+    const confirmations = BigInt(options.confirmations ?? 0);
+    const reorgDepth = BigInt(options.reorgDepth ?? DEFAULT_REORG_DEPTH);
+    const onRemoved = options.onRemoved;
+    // The tracked blocks: number => {hash, logs}. They are all the
+    // processed blocks which are not deeper than `reorgDepth`.
+    const tracked = new Map();
+    // Only logs from new blocks will be delivered.
+    let next = (await getBlockNumber()) + 1n;
+    let stopped = false;
+    let timer = null;
+
+    // Detects dropped blocks, from the newest tracked one, until
+    // a tracked block still in the chain is found. Then, the blocks
+    // after that one are queried again.
+    async function checkReorgs() {
+        const blockNumbers = [...tracked.keys()].sort((a, b) => (a < b ? 1 : (a > b ? -1 : 0)));
+        for (const blockNumber of blockNumbers) {
+            const entry = tracked.get(blockNumber);
+            if ((await getBlockHash(blockNumber)) === entry.hash) {
+                if (blockNumber + 1n < next) next = blockNumber + 1n;
+                return;
+            }
+            tracked.delete(blockNumber);
+            if (blockNumber < next) next = blockNumber;
+            if (onRemoved) entry.logs.forEach((log) => safeInvoke(onRemoved, {...log, removed: true}));
+        }
+    }
+
+    async function tick() {
+        const latest = await getBlockNumber();
+        await checkReorgs();
+        const safeTip = latest - confirmations;
+        if (safeTip < next) return;
+
+        // Every block in the range (within the reorg depth) is tracked,
+        // even without logs, since a reorg might add logs to it. Their
+        // hashes are taken before querying, so a reorg in the meantime
+        // is detected in the next tick.
+        const firstTracked = next > safeTip - reorgDepth ? next : safeTip - reorgDepth;
+        const hashes = new Map();
+        for (let blockNumber = firstTracked; blockNumber <= safeTip; blockNumber++) {
+            hashes.set(blockNumber, await getBlockHash(blockNumber));
+        }
+        const logs = await query(next, safeTip);
+        hashes.forEach((hash, blockNumber) => tracked.set(blockNumber, {hash, logs: []}));
+        for (const log of logs) {
+            if (stopped) return;
+            const blockNumber = BigInt(log.blockNumber);
+            if (!tracked.has(blockNumber)) tracked.set(blockNumber, {hash: log.blockHash, logs: []});
+            const entry = tracked.get(blockNumber);
+            entry.hash = log.blockHash;
+            entry.logs.push(log);
+            safeInvoke(callback, log);
+        }
+        next = safeTip + 1n;
+
+        // Forget the blocks that are too deep to care about.
+        for (const blockNumber of [...tracked.keys()]) {
+            if (blockNumber < safeTip - reorgDepth) tracked.delete(blockNumber);
+        }
+    }
+
+    async function loop() {
+        try {
+            await tick();
+        } catch (e) {
+            console.error(e);
+        }
+        if (!stopped) timer = setTimeout(loop, pollingInterval);
+    }
+
+    timer = setTimeout(loop, pollingInterval);
+    return async () => {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+    };
+}
+
+module.exports = {
+    DEFAULT_REORG_DEPTH, normalizeWatchArgs, isPolling, pollLogs
+}
@@ -1,4 +1,86 @@
-const {parseAbiItem, parseEventLogs} = require("viem");
+const {parseEventLogs, decodeEventLog, formatLog} = require("viem");
+const {getTransactionHash} = require("../transactions/common");
+const {getEventTopic, resolveEvent, makeRawLog, sortLogs} = require("./common");
+const {isChunked, iterateLogChunks, collectLogs} = require("./chunks");
+const {normalizeWatchArgs, isPolling, pollLogs} = require("./polling");
+const {fetchCachedLogs} = require("./cache");
+
+// Converts a block number or tag into a viem block parameter:
+// a BigInt for numbers, or the tag itself (e.g. "latest").
+function toBlockParameter(block) {
+    if (typeof block === "bigint" || typeof block === "number" || /^(0x)?[0-9a-fA-F]+$/.test(block)) {
+        return BigInt(block);
+    }
+    return block;
+}
+
+// Builds a function that fetches (and normalizes) the logs
+// of a certain event from the contract, in a block range.
+function makeLogsQuery(hre, contract, eventName, indexedArgs) {
+    // Parse event ABI dynamically.
+    let eventAbi = getEventAbi(contract, eventName);
+
+    let indexedArgsObject = normalizeIndexedArgs(eventAbi, indexedArgs || []);
+
+    return async (fromBlock, toBlock) => {
+        const client = await hre.viem.getPublicClient();
+
+        // Prepare the filter arguments and get the logs.
+        const filter = {
+            address: contract.address, event: eventAbi,
+            fromBlock: toBlockParameter(fromBlock),
+            toBlock: toBlockParameter(toBlock),
+            args: indexedArgsObject
+        };
+        return (await client.getLogs(filter)).map(e => normalizeLog(eventAbi, e));
+    };
+}
+
+// Builds a function that fetches (and normalizes) the logs of
+// all the events (or some of them) from the contract, in a block
+// range, sorted by (blockNumber, logIndex).
+function makeAllLogsQuery(hre, contract, eventNames) {
+    // When events are given, only logs from those events will be retrieved.
+    const events = eventNames ? eventNames.map((eventName) => getEventAbi(contract, eventName)) : undefined;
+
+    return async (fromBlock, toBlock) => {
+        const client = await hre.viem.getPublicClient();
+
+        // Prepare the filter arguments and get the logs.
+        const filter = {
+            address: contract.address,
+            fromBlock: toBlockParameter(fromBlock),
+            toBlock: toBlockParameter(toBlock),
+        };
+        if (events) filter.events = events;
+        const logs = await client.getLogs(filter);
+
+        // Decode the logs into readable event data.
+        return sortLogs(logs.map((log) => decodeLog(contract.abi, log)));
+    };
+}
+
+// Resolves a block number or tag to a BigInt block number.
+async function resolveBlockNumber(hre, block) {
+    block = toBlockParameter(block);
+    if (typeof block === "bigint") return block;
+    const client = await hre.viem.getPublicClient();
+    if (block === "latest") return await client.getBlockNumber({cacheTime: 0});
+    return (await client.getBlock({blockTag: block})).number;
+}
+
+// Runs a logs query either once for the whole range or,
+// when chunking is requested, in many chunks.
+async function runLogsQuery(hre, query, fromBlock, toBlock, options) {
+    fromBlock ??= 0n;
+    toBlock ??= "latest";
+    if (isChunked(options)) {
+        return await collectLogs(iterateLogChunks(
+            query, (block) => resolveBlockNumber(hre, block), fromBlock, toBlock, options
+        ));
+    }
+    return await query(fromBlock, toBlock);
+}
 
 /**
  * Gets the logs of a certain event from the contract.
@@ -9,29 +91,116 @@ const {parseAbiItem, parseEventLogs} = require("viem");
  * @param toBlock The end block. Will be "latest" if not given.
  * @param indexedArgs The indexed arguments. They must not be
  * encoded, for they will later be.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay},
+ * and the cache options: {cache, reorgDepth}. The range is split in chunks
+ * only if `chunkSize` is given, and the logs are cached on disk only if
+ * `cache` is true.
  * @returns {Promise<*>} An array of logs (async function).
  */
 async function fetchLogs(
     hre,
     contract, eventName,
     fromBlock, toBlock,
-    indexedArgs
+    indexedArgs, options
 ) {
-    const client = await hre.viem.getPublicClient();
+    if (options && options.cache) {
+        const eventAbi = getEventAbi(contract, eventName);
+        return await fetchCachedLogs(
+            hre, contract.address, eventAbi, fromBlock, toBlock, indexedArgs, options,
+            (logs) => logs.map((log) => decodeLog([eventAbi], formatLog(log)))
+        );
+    }
+    const query = makeLogsQuery(hre, contract, eventName, indexedArgs);
+    return await runLogsQuery(hre, query, fromBlock, toBlock, options);
+}
 
-    // Parse event ABI dynamically.
-    let eventAbi = getEventAbi(contract, eventName);
+/**
+ * Iterates over the logs of a certain event from the contract, fetching
+ * them in chunks of blocks. The logs are never held in memory at once.
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param eventName The name, or specification, of the event.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param indexedArgs The indexed arguments. They must not be
+ * encoded, for they will later be.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {AsyncGenerator<*>} An async iterator of logs.
+ */
+async function* iterateLogs(
+    hre,
+    contract, eventName,
+    fromBlock, toBlock,
+    indexedArgs, options
+) {
+    yield* iterateLogChunks(
+        makeLogsQuery(hre, contract, eventName, indexedArgs),
+        (block) => resolveBlockNumber(hre, block),
+        fromBlock ?? 0n, toBlock ?? "latest", options
+    );
+}
 
-    let indexedArgsObject = normalizeIndexedArgs(eventAbi, indexedArgs || []);
+/**
+ * Gets the logs of all the events (or some of them) from the contract.
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param eventNames The names, or specifications, of the events to
+ * retrieve. All the events will be retrieved if not given.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * The range is split in chunks only if `chunkSize` is given.
+ * @returns {Promise<*>} An array of logs, sorted by (blockNumber, logIndex)
+ * (async function).
+ */
+async function fetchAllLogs(
+    hre,
+    contract,
+    fromBlock, toBlock,
+    eventNames, options
+) {
+    const query = makeAllLogsQuery(hre, contract, eventNames);
+    return await runLogsQuery(hre, query, fromBlock, toBlock, options);
+}
 
-    // Prepare the filter arguments and get the logs.
-    const filter = {
-        address: contract.address, event: eventAbi,
-        fromBlock: BigInt(fromBlock ?? 0n),
-        toBlock: (toBlock ?? null) === null ? "latest" : BigInt(toBlock),
-        args: indexedArgsObject
-    };
-    return (await client.getLogs(filter)).map(e => normalizeLog(eventAbi, e));
+// Decodes a raw log using a contract ABI, returning
+// a normalized log, or a raw one if it is not possible.
+function decodeLog(abi, log) {
+    const topic = log.topics[0];
+    const eventAbi = topic && abi.find((item) => item.type === "event" && getEventTopic(item) === topic);
+    if (!eventAbi) return makeRawLog(log, log.logIndex);
+    try {
+        const {eventName, args} = decodeEventLog({abi: [eventAbi], data: log.data, topics: log.topics});
+        return normalizeLog(eventAbi, {...log, eventName, args});
+    } catch {
+        return makeRawLog(log, log.logIndex);
+    }
+}
+
+/**
+ * Iterates over the logs of all the events (or some of them) from the
+ * contract, fetching them in chunks of blocks. The logs are never held
+ * in memory at once, and come sorted by (blockNumber, logIndex).
+ * @param hre The hardhat runtime environment.
+ * @param contract The contract instance.
+ * @param fromBlock The start block. Will be 0 if not given.
+ * @param toBlock The end block. Will be "latest" if not given.
+ * @param eventNames The names, or specifications, of the events to
+ * retrieve. All the events will be retrieved if not given.
+ * @param options The chunking options: {chunkSize, maxRetries, retryDelay}.
+ * @returns {AsyncGenerator<*>} An async iterator of logs.
+ */
+async function* iterateAllLogs(
+    hre,
+    contract,
+    fromBlock, toBlock,
+    eventNames, options
+) {
+    yield* iterateLogChunks(
+        makeAllLogsQuery(hre, contract, eventNames),
+        (block) => resolveBlockNumber(hre, block),
+        fromBlock ?? 0n, toBlock ?? "latest", options
+    );
 }
 
 /**
@@ -43,19 +212,34 @@ async function fetchLogs(
  * encoded, for they will later be. Also, instead, the callback
  * can be given if no indexed arguments are intended.
  * @param callback The callback, if indexed arguments are given.
+ * @param options The watch options: {polling, pollingInterval, confirmations,
+ * reorgDepth, onRemoved}. The polling mode (an eth_getLogs loop over the new
+ * blocks) is used if `polling` is true or `confirmations` is given.
  * @returns {Promise<*>} A function to un-watch this watch (async function).
  */
 async function watchLogs(
     hre,
     contract, eventName, indexedArgs,
-    callback
+    callback, options
 ) {
     const client = await hre.viem.getPublicClient();
-    if (callback === undefined) {
-        callback = indexedArgs;
-        indexedArgs = undefined;
+    ({indexedArgs, callback, options} = normalizeWatchArgs(indexedArgs, callback, options));
+
+    if (isPolling(options)) {
+        return await pollLogs(
+            makeLogsQuery(hre, contract, eventName, indexedArgs),
+            async () => await client.getBlockNumber({cacheTime: 0}),
+            async (blockNumber) => {
+                try {
+                    return (await client.getBlock({blockNumber})).hash;
+                } catch (e) {
+                    if (e.name === "BlockNotFoundError") return null;
+                    throw e;
+                }
+            },
+            callback, options
+        );
     }
-    indexedArgs ||= [];
 
     // Parse event ABI dynamically.
     let eventAbi = getEventAbi(contract, eventName);
@@ -75,39 +259,12 @@ async function watchLogs(
     });
 }
 
-// Gets the Abi entry for an event name in a contract.
+// Gets the Abi entry for an event name or specification in a contract.
 function getEventAbi(contract, eventName) {
-    // Parse event ABI dynamically.
-    let eventAbi;
-    if (!eventName.includes("(")) {
-        // CASE 1: Only event name is provided → Pick first matching event.
-        const matchingEvents = contract.abi.filter(
-            (item) => item.type === "event" && item.name === eventName
-        );
-
-        if (matchingEvents.length === 0) {
-            throw new Error(`Event "${eventName}" not found in contract ABI.`);
-        }
-
-        eventAbi = matchingEvents[0]; // Use the first found event
-    } else {
-        // CASE 2: Full event specification is provided → Ensure exact match.
-        const parsedAbiItem = parseAbiItem(eventName);
-
-        const matchingEvents = contract.abi.filter(
-            (item) => item.type === "event" && JSON.stringify(item) === JSON.stringify(parsedAbiItem)
-        );
-
-        if (matchingEvents.length === 0) {
-            throw new Error(`Exact event specification "${eventName}" not found in contract ABI.`);
-        }
-
-        eventAbi = parsedAbiItem;
-    }
-    return eventAbi;
+    return resolveEvent(contract.abi, eventName);
 }
 
-// Converts the indexed arguments to an object.
+// Converts the indexed arguments to an object (or undefined, if none).
 function normalizeIndexedArgs(eventAbi, indexedArgs) {
     let indexedArgsObject = {};
     if (Array.isArray(indexedArgs)) {
@@ -127,9 +284,24 @@ function normalizeIndexedArgs(eventAbi, indexedArgs) {
             return acc;
         }, {});
     } else {
-        indexedArgsObject = indexedArgs ?? {};
+        indexedArgsObject = {...(indexedArgs ?? {})};
+    }
+
+    // Integer values must have the same type viem decodes them to
+    // (it compares them against the decoded logs): number up to 48
+    // bits, and BigInt otherwise.
+    for (const param of eventAbi.inputs) {
+        const value = indexedArgsObject[param.name];
+        const match = param.type.match(/^u?int(\d*)$/);
+        if (param.indexed && match && value !== undefined && value !== null) {
+            const convert = Number(match[1] || 256) > 48 ? BigInt : (v) => Number(v);
+            indexedArgsObject[param.name] = Array.isArray(value) ? value.map(convert) : convert(value);
+        }
     }
-    return indexedArgsObject;
+
+    // No args at all must be given as undefined: viem doesn't match
+    // empty args against events having unnamed parameters.
+    return Object.keys(indexedArgsObject).length ? indexedArgsObject : undefined;
 }
 
 /**
@@ -144,14 +316,20 @@ function normalizeIndexedArgs(eventAbi, indexedArgs) {
  * set of arguments passed to the event, both by key and by index.
  */
 function normalizeLog(abi, log) {
+    // viem decodes the args as an object when all of them are
+    // named, and as an array otherwise.
     const args = {...log.args};
     abi.inputs.forEach((input, index) => {
-        args[index] = args[input.name];
+        if (Array.isArray(log.args)) {
+            if (input.name) args[input.name] = log.args[index];
+        } else {
+            args[index] = log.args[input.name];
+        }
     });
 
     return {
         name: log.eventName, args,
-        blockNumber: log.blockNumber,
+        blockNumber: BigInt(log.blockNumber),
         blockHash: log.blockHash,
         transactionIndex: log.transactionIndex,
         transactionHash: log.transactionHash,
@@ -165,23 +343,39 @@ function normalizeLog(abi, log) {
  * @param hre The hardhat runtime environment.
  * @param contract The contract instance.
  * @param eventName The name, or specification, of the event.
- * @param tx The transaction, as returned from hre.common.send (i.e. a hash).
+ * @param tx The transaction, as returned from hre.common.send or hre.common.transfer, or its hash.
  * @param eventName The name of the event.
  * @returns {Promise<{args: {}, native, name}[]>} The list of normalized events (async function).
  */
 async function fetchTransactionLogs(hre, contract, tx, eventName) {
-    // Here, tx is a string, as returned from hre.common.send().
-    const receipt = await (await hre.viem.getPublicClient()).getTransactionReceipt({hash: tx});
+    const hash = getTransactionHash(tx);
+    const receipt = await (await hre.viem.getPublicClient()).getTransactionReceipt({hash});
     const logs = receipt.logs;
     const abi = [getEventAbi(contract, eventName)];
     const parsedLogs = parseEventLogs({
-        abi, eventName, logs, strict: true
+        abi, eventName: abi[0].name, logs, strict: true
     });
     return parsedLogs.map((log) => normalizeLog(
         abi[0], log
     ));
 }
 
+/**
+ * Decodes a raw (JSON-RPC) log, trying many event ABI entries in turn.
+ * @param hre The hardhat runtime environment.
+ * @param eventAbis The candidate event ABI entries.
+ * @param log The raw log.
+ * @returns {*} The normalized log, or a raw entry if no event could decode it.
+ */
+function decodeRawLog(hre, eventAbis, log) {
+    const formatted = formatLog(log);
+    for (const eventAbi of eventAbis) {
+        const normalized = decodeLog([eventAbi], formatted);
+        if (normalized.name !== null) return normalized;
+    }
+    return makeRawLog(formatted, formatted.logIndex);
+}
+
 module.exports = {
-    fetchLogs, watchLogs, fetchTransactionLogs
+    fetchLogs, fetchAllLogs, iterateLogs, iterateAllLogs, watchLogs, fetchTransactionLogs, decodeRawLog
 }
\ No newline at end of file
@@ -0,0 +1,177 @@
+// The fee presets. The percentile is the one of the priority fees
+// (rewards) paid in the recent blocks, and the multipliers apply to
+// the next base fee (EIP-1559) or to the node's gas price (legacy).
+const FEE_PRESETS = {
+    slow: {percentile: 10, baseFeeMultiplier: 1.125, gasPriceMultiplier: 1},
+    normal: {percentile: 50, baseFeeMultiplier: 1.5, gasPriceMultiplier: 1.1},
+    fast: {percentile: 90, baseFeeMultiplier: 2, gasPriceMultiplier: 1.25},
+};
+
+// How many recent blocks are considered by default.
+const DEFAULT_FEE_HISTORY_BLOCKS = 10;
+
+// The transaction options that tell explicit fees.
+const EXPLICIT_FEE_OPTIONS = ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+// Scales a BigInt value by a (possibly fractional) factor, rounding up.
+function scale(value, factor) {
+    const basisPoints = BigInt(Math.round(factor * 10000));
+    return (value * basisPoints + 9999n) / 10000n;
+}
+
+// Returns the minimum of a value and an (optional) cap.
+function applyCap(value, cap) {
+    return (cap !== undefined && cap !== null && value > BigInt(cap)) ? BigInt(cap) : value;
+}
+
+// Gets the median of a non-empty list of BigInt values.
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+// Normalizes fee options: a preset name, an object, or null.
+function toFeeOptions(options) {
+    if (options === undefined || options === null || options === true) return {};
+    if (typeof options === "string") return {preset: options};
+    return options;
+}
+
+/**
+ * Resolves the fee settings, merging (in increasing priority) the
+ * "normal" preset, the `fees` entry of the current network config,
+ * and the given options.
+ * @param hre The hardhat runtime environment.
+ * @param options The fee options: a preset name, or {preset, percentile,
+ * baseFeeMultiplier, gasPriceMultiplier, blocks, legacy, caps,
+ * gasLimitMultiplier}.
+ * @returns {*} The resolved settings.
+ */
+function resolveFeeSettings(hre, options) {
+    const networkOptions = toFeeOptions(hre.network.config.fees);
+    options = toFeeOptions(options);
+    const preset = options.preset ?? networkOptions.preset ?? "normal";
+    if (!FEE_PRESETS[preset]) {
+        throw new Error(
+            `Unknown fee preset: ${preset}. Valid presets are: ${Object.keys(FEE_PRESETS).join(", ")}`
+        );
+    }
+    const {preset: _, ...networkRest} = networkOptions;
+    const {preset: __, ...rest} = options;
+    const settings = {...FEE_PRESETS[preset], blocks: DEFAULT_FEE_HISTORY_BLOCKS, ...networkRest, ...rest, preset};
+    settings.caps = {...(networkOptions.caps || {}), ...(options.caps || {})};
+    if (!(settings.percentile >= 0 && settings.percentile <= 100)) {
+        throw new Error(`The fee percentile must be between 0 and 100: ${settings.percentile}`);
+    }
+    return settings;
+}
+
+// Gets the priority fee from the rewards of the recent (non-empty)
+// blocks, falling back to eth_maxPriorityFeePerGas when all of them
+// are 0 (or there are no non-empty blocks).
+async function estimatePriorityFee(hre, history) {
+    const values = (history.reward || []).filter(
+        (_, index) => Number(history.gasUsedRatio[index]) > 0
+    ).map((reward) => BigInt(reward[0]));
+    const priorityFee = values.length ? median(values) : 0n;
+    if (priorityFee > 0n) return priorityFee;
+    try {
+        return BigInt(await hre.network.provider.request({method: "eth_maxPriorityFeePerGas", params: []}));
+    } catch {
+        return 0n;
+    }
+}
+
+/**
+ * Computes the fee plan for a transaction, from the recent fee history
+ * (eth_feeHistory) or, in chains not supporting EIP-1559 (or when the
+ * legacy setting is true), from the node's gas price. The caps from the
+ * settings are applied to the computed fees.
+ * @param hre The hardhat runtime environment.
+ * @param options The fee options (see resolveFeeSettings).
+ * @returns {Promise<*>} The fee plan: {type, gasPrice, maxFeePerGas,
+ * maxPriorityFeePerGas, baseFeePerGas, preset, percentile,
+ * gasLimitMultiplier, capped} (async function).
+ */
+async function getFeeData(hre, options) {
+    const settings = resolveFeeSettings(hre, options);
+    const {caps, preset, percentile} = settings;
+    const gasLimitMultiplier = settings.gasLimitMultiplier ?? null;
+    const latest = await hre.network.provider.request({method: "eth_getBlockByNumber", params: ["latest", false]});
+
+    if (settings.legacy || !latest || latest.baseFeePerGas === undefined || latest.baseFeePerGas === null) {
+        const nodeGasPrice = BigInt(await hre.network.provider.request({method: "eth_gasPrice", params: []}));
+        const computed = scale(nodeGasPrice, settings.gasPriceMultiplier);
+        const gasPrice = applyCap(computed, caps.gasPrice ?? caps.maxFeePerGas);
+        return {
+            type: "legacy", gasPrice, maxFeePerGas: null, maxPriorityFeePerGas: null, baseFeePerGas: null,
+            preset, percentile, gasLimitMultiplier, capped: gasPrice !== computed
+        };
+    }
+
+    const history = await hre.network.provider.request({
+        method: "eth_feeHistory", params: ["0x" + settings.blocks.toString(16), "latest", [percentile]]
+    });
+    // The last base fee in the history is the one of the next block.
+    const baseFees = history.baseFeePerGas;
+    const baseFeePerGas = BigInt(baseFees[baseFees.length - 1]);
+    const computedPriority = await estimatePriorityFee(hre, history);
+    const computedMax = scale(baseFeePerGas, settings.baseFeeMultiplier) + computedPriority;
+    const maxFeePerGas = applyCap(computedMax, caps.maxFeePerGas);
+    const maxPriorityFeePerGas = applyCap(applyCap(computedPriority, caps.maxPriorityFeePerGas), maxFeePerGas);
+    return {
+        type: "eip1559", gasPrice: null, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas,
+        preset, percentile, gasLimitMultiplier,
+        capped: maxFeePerGas !== computedMax || maxPriorityFeePerGas !== computedPriority
+    };
+}
+
+/**
+ * Tells whether the fee strategy applies to a transaction: it does when
+ * the `fees` option is given (and not false), or when the current network
+ * config has a `fees` entry (and the `fees` option is not false).
+ * @param hre The hardhat runtime environment.
+ * @param txOpts The transaction options.
+ * @returns {boolean} Whether the fee strategy applies.
+ */
+function usesFeeStrategy(hre, txOpts) {
+    const fees = (txOpts || {}).fees;
+    if (fees === false) return false;
+    return (fees !== undefined && fees !== null) || !!hre.network.config.fees;
+}
+
+/**
+ * Applies the fee strategy to the transaction options (if it applies).
+ * The fees are computed only when no explicit fee is given, and the gas
+ * is estimated (and multiplied by the gas limit multiplier) only when no
+ * explicit gas is given and a multiplier is set.
+ * @param hre The hardhat runtime environment.
+ * @param txOpts The transaction options.
+ * @param estimateGas An async function estimating the gas of the transaction.
+ * @returns {Promise<*>} The new transaction options (async function).
+ */
+async function applyFeeStrategy(hre, txOpts, estimateGas) {
+    if (!usesFeeStrategy(hre, txOpts)) return txOpts;
+    const {fees, ...newOpts} = txOpts || {};
+    const hasExplicitFees = EXPLICIT_FEE_OPTIONS.some(
+        (key) => newOpts[key] !== undefined && newOpts[key] !== null
+    );
+    const settings = resolveFeeSettings(hre, fees);
+    if (!hasExplicitFees) {
+        const feeData = await getFeeData(hre, fees);
+        if (feeData.type === "legacy") {
+            newOpts.gasPrice = feeData.gasPrice;
+        } else {
+            newOpts.maxFeePerGas = feeData.maxFeePerGas;
+            newOpts.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+        }
+    }
+    if ((newOpts.gas === undefined || newOpts.gas === null) && settings.gasLimitMultiplier) {
+        newOpts.gas = scale(BigInt(await estimateGas(newOpts)), settings.gasLimitMultiplier);
+    }
+    return newOpts;
+}
+
+module.exports = {
+    FEE_PRESETS, resolveFeeSettings, getFeeData, usesFeeStrategy, applyFeeStrategy
+}
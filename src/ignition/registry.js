@@ -0,0 +1,302 @@
+const path = require("path");
+const fs = require("fs");
+const {IgnitionDeploymentError} = require("../errors/ignition");
+const {getProxyInfo} = require("../proxies/common");
+
+// The status of a future, given the type of the journal
+// message that completes (or updates) its execution.
+const RESULT_STATUSES = {
+    SUCCESS: "success",
+    REVERTED_TRANSACTION: "failed",
+    SIMULATION_ERROR: "failed",
+    STRATEGY_ERROR: "failed",
+    STRATEGY_SIMULATION_ERROR: "failed",
+    STRATEGY_HELD: "pending",
+};
+
+// The futures which are complete as soon as they are
+// initialized (they don't involve transactions).
+const INSTANT_FUTURES = ["contract-at", "read-event-argument", "encode-function-call"];
+
+/**
+ * Gets the directory where all the Ignition deployments are stored.
+ * @param hre The hardhat runtime environment.
+ * @returns {string} The directory.
+ */
+function getDeploymentsDir(hre) {
+    return path.resolve(hre.config.paths.root, "ignition", "deployments");
+}
+
+/**
+ * Resolves a deployment id. If missing, the default one for the current
+ * chain (i.e. chain-{chainId}) is used.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id (optional).
+ * @returns {Promise<string>} The deployment id (async function).
+ */
+async function resolveDeploymentId(hre, deploymentId) {
+    return deploymentId || `chain-${await hre.common.getChainId()}`;
+}
+
+// Gets the directory of a deployment, failing if it does not exist.
+function getDeploymentDir(hre, deploymentId) {
+    const deploymentDir = path.resolve(getDeploymentsDir(hre), deploymentId);
+    if (!fs.existsSync(deploymentDir)) {
+        throw new IgnitionDeploymentError(
+            `The deployment ${deploymentId} does not exist. Ensure the deployment is actually done.`,
+            {kind: "deployment-not-found", deploymentId}
+        );
+    }
+    return deploymentDir;
+}
+
+/**
+ * Reads the journal messages of a deployment. A missing journal
+ * has no messages, and unparseable lines (e.g. a partially written
+ * last line) are skipped.
+ * @param deploymentDir The deployment directory.
+ * @returns {Array} The journal messages.
+ */
+function readJournalMessages(deploymentDir) {
+    let content = "";
+    try {
+        content = fs.readFileSync(path.resolve(deploymentDir, "journal.jsonl"), {encoding: "utf8"});
+    } catch(e) {}
+    return content.split("\n").filter((line) => line.trim()).map((line) => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }).filter((message) => message);
+}
+
+/**
+ * Lists the existing deployments.
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<{deploymentId, chainId}[]>} The deployments, with their
+ * chain id (as BigInt, or null if the journal does not tell it) (async function).
+ */
+async function listDeployments(hre) {
+    const deploymentsDir = getDeploymentsDir(hre);
+    if (!fs.existsSync(deploymentsDir)) return [];
+    return fs.readdirSync(deploymentsDir, {withFileTypes: true}).filter(
+        (entry) => entry.isDirectory()
+    ).map((entry) => {
+        const initialize = readJournalMessages(path.resolve(deploymentsDir, entry.name)).find(
+            (message) => message.type === "DEPLOYMENT_INITIALIZE"
+        );
+        return {
+            deploymentId: entry.name,
+            chainId: initialize && initialize.chainId !== undefined ? BigInt(initialize.chainId) : null
+        };
+    }).sort((a, b) => a.deploymentId.localeCompare(b.deploymentId));
+}
+
+/**
+ * Gets the deployed addresses of a deployment.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @returns {Promise<{}>} The addresses, by future id (async function).
+ */
+async function getDeployedAddresses(hre, deploymentId) {
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const deploymentDir = getDeploymentDir(hre, deploymentId);
+    try {
+        return JSON.parse(fs.readFileSync(
+            path.resolve(deploymentDir, "deployed_addresses.json"), {encoding: "utf8"}
+        ));
+    } catch(e) {
+        // The deployment exists but nothing was deployed yet.
+        return {};
+    }
+}
+
+// Loads the ABI of a deployed future, from its artifact.
+function loadFutureAbi(deploymentDir, deploymentId, futureId) {
+    let artifact = {};
+    try {
+        artifact = JSON.parse(fs.readFileSync(
+            path.resolve(deploymentDir, "artifacts", futureId + ".json"), {encoding: "utf8"}
+        ));
+    } catch(e) {}
+    const abi = artifact.abi;
+    if (!abi || !abi.length) {
+        throw new IgnitionDeploymentError(
+            `The artifact for the contract ${futureId} in the deployment ${deploymentId} is ` +
+            "missing or corrupted. If this is your local network, redeploying everything " +
+            "will fix this. Otherwise, keep in touch with your team, since the deployment " +
+            "data is corrupted.",
+            {kind: "artifact-not-found", deploymentId, futureId}
+        );
+    }
+    return abi;
+}
+
+// Resolves the proxy or implementation option of a deployed contract:
+// future ids are turned into their ABIs and, when the implementation
+// is `true`, it is found among the deployed contracts by its address.
+async function resolveProxyOption(hre, value, deploymentDir, deploymentId, address, addresses) {
+    if (value === true) {
+        const {implementation} = await getProxyInfo(hre, address);
+        const futureId = implementation && Object.keys(addresses).find(
+            (key) => addresses[key].toLowerCase() === implementation.toLowerCase()
+        );
+        if (!futureId) {
+            throw new IgnitionDeploymentError(
+                `The implementation of the proxy ${address} is not among the contracts of the deployment ` +
+                `${deploymentId}. Give the implementation explicitly.`,
+                {kind: "address-not-found", deploymentId}
+            );
+        }
+        value = futureId;
+    }
+    if (typeof value === "string" && value.includes("#")) {
+        return loadFutureAbi(deploymentDir, deploymentId, value);
+    }
+    return value;
+}
+
+/**
+ * Inspects the ignition addresses for a deployment id and retrieves
+ * a contract instance from a given deployed contract (future) id.
+ * @param hre The hardhat runtime environment.
+ * @param futureId The deployed contract (future) id.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @param options The proxy options: {proxy, implementation}. Each can be
+ * a future id, an artifact name, an artifact or an ABI, and its ABI gets
+ * merged into the contract one. The implementation can also be `true`,
+ * to find it (by the EIP-1967 slots) among the deployed contracts.
+ * @returns {Promise<*>} A contract instance (async function).
+ */
+async function getDeployedContract(hre, futureId, deploymentId, options) {
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const addresses = await getDeployedAddresses(hre, deploymentId);
+    const address = addresses[futureId];
+    if (!address) {
+        throw new IgnitionDeploymentError(
+            `It seems that the contract ${futureId} is not deployed in the deployment ` +
+            `${deploymentId}. Ensure the deployment is actually done for that contract.`,
+            {kind: "address-not-found", deploymentId, futureId}
+        );
+    }
+    const deploymentDir = getDeploymentDir(hre, deploymentId);
+    const abi = loadFutureAbi(deploymentDir, deploymentId, futureId);
+    const {proxy, implementation} = options || {};
+    return await hre.common.getContractAt(abi, address, undefined, {
+        proxy: proxy && await resolveProxyOption(hre, proxy, deploymentDir, deploymentId, address, addresses),
+        implementation: implementation && await resolveProxyOption(
+            hre, implementation, deploymentDir, deploymentId, address, addresses
+        ),
+    });
+}
+
+/**
+ * Gets contract instances for all the deployed contracts (futures)
+ * of a module.
+ * @param hre The hardhat runtime environment.
+ * @param moduleId The module id.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @returns {Promise<{}>} The contract instances, by their name in the
+ * module (e.g. "MyContract" for the "MyModule#MyContract" future)
+ * (async function).
+ */
+async function getDeployedContracts(hre, moduleId, deploymentId) {
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const addresses = await getDeployedAddresses(hre, deploymentId);
+    const prefix = moduleId + "#";
+    const futureIds = Object.keys(addresses).filter((futureId) => futureId.startsWith(prefix));
+    if (!futureIds.length) {
+        throw new IgnitionDeploymentError(
+            `There are no deployed contracts for the module ${moduleId} in the deployment ` +
+            `${deploymentId}. Ensure the deployment is actually done for that module.`,
+            {kind: "module-not-found", deploymentId, moduleId}
+        );
+    }
+    const deploymentDir = getDeploymentDir(hre, deploymentId);
+    const contracts = {};
+    for (const futureId of futureIds) {
+        const abi = loadFutureAbi(deploymentDir, deploymentId, futureId);
+        contracts[futureId.substring(prefix.length)] = await hre.common.getContractAt(abi, addresses[futureId]);
+    }
+    return contracts;
+}
+
+// Converts an execution state message type (e.g.
+// SEND_DATA_EXECUTION_STATE_INITIALIZE) to a future
+// type (e.g. send-data).
+function toFutureType(messageType) {
+    return messageType.replace(/_EXECUTION_STATE_(INITIALIZE|COMPLETE)$/, "").toLowerCase().replace(/_/g, "-");
+}
+
+/**
+ * Reads the journal of a deployment, telling the status of each future.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @returns {Promise<{}>} The futures, by future id, each being
+ * {futureId, type, status, transactionHash, address} where the type
+ * is like "deployment", "call", "send-data" or "contract-at", the
+ * status is one of "pending", "success", "failed" or "timeout", and
+ * the transaction hash and address are null when they don't apply
+ * (async function).
+ */
+async function readDeploymentJournal(hre, deploymentId) {
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const messages = readJournalMessages(getDeploymentDir(hre, deploymentId));
+    const futures = {};
+    for (const message of messages) {
+        const {type, futureId} = message;
+        if (!futureId) continue;
+        if (type === "WIPE_APPLY") {
+            delete futures[futureId];
+        } else if (type.endsWith("_EXECUTION_STATE_INITIALIZE")) {
+            const futureType = toFutureType(type);
+            futures[futureId] = {
+                futureId, type: futureType,
+                status: INSTANT_FUTURES.includes(futureType) ? "success" : "pending",
+                transactionHash: null,
+                address: futureType === "contract-at" ? (message.contractAddress ?? null) : null,
+            };
+        } else if (!futures[futureId]) {
+            continue;
+        } else if (type === "TRANSACTION_SEND") {
+            futures[futureId].transactionHash = message.transaction.hash;
+        } else if (type === "TRANSACTION_CONFIRM") {
+            futures[futureId].transactionHash = message.hash;
+        } else if (type === "ONCHAIN_INTERACTION_TIMEOUT") {
+            futures[futureId].status = "timeout";
+        } else if (type.endsWith("_EXECUTION_STATE_COMPLETE")) {
+            const result = message.result || {};
+            futures[futureId].status = RESULT_STATUSES[result.type] || "failed";
+            if (result.address) futures[futureId].address = result.address;
+        }
+    }
+    return futures;
+}
+
+/**
+ * Reads the ABIs of all the futures of a deployment, from its artifacts.
+ * The artifacts without an ABI (and the debug files) are skipped.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @returns {Promise<{}>} The ABIs, by future id (async function).
+ */
+async function readDeploymentAbis(hre, deploymentId) {
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const artifactsDir = path.resolve(getDeploymentDir(hre, deploymentId), "artifacts");
+    if (!fs.existsSync(artifactsDir)) return {};
+    const abis = {};
+    for (const file of fs.readdirSync(artifactsDir)) {
+        if (!file.endsWith(".json") || file.endsWith(".dbg.json")) continue;
+        try {
+            const {abi} = JSON.parse(fs.readFileSync(path.resolve(artifactsDir, file), {encoding: "utf8"}));
+            if (Array.isArray(abi)) abis[file.slice(0, -".json".length)] = abi;
+        } catch {}
+    }
+    return abis;
+}
+
+module.exports = {
+    getDeploymentsDir, resolveDeploymentId, readJournalMessages, listDeployments, getDeployedAddresses,
+    getDeployedContract, getDeployedContracts, readDeploymentJournal, readDeploymentAbis
+}
@@ -0,0 +1,163 @@
+const path = require("path");
+const fs = require("fs");
+const {getDeploymentsDir, resolveDeploymentId, readJournalMessages} = require("./registry");
+const {clearLogCache} = require("../eventLogs/cache");
+
+// The chain ids of the local development networks
+// (hardhat and ganache / anvil respectively).
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+/**
+ * Gets the directory where the deployment backups are stored.
+ * @param hre The hardhat runtime environment.
+ * @returns {string} The directory.
+ */
+function getBackupsDir(hre) {
+    return path.resolve(hre.config.paths.root, "ignition", "deployment-backups");
+}
+
+// Lists all the files in a directory, recursively, as
+// paths relative to that directory.
+function listFiles(dir, prefix) {
+    prefix ||= "";
+    return fs.readdirSync(dir, {withFileTypes: true}).flatMap((entry) => (
+        entry.isDirectory()
+            ? listFiles(path.resolve(dir, entry.name), prefix + entry.name + "/")
+            : [prefix + entry.name]
+    )).sort();
+}
+
+// Gets the chain id of a deployment from its journal or,
+// if not available, the chain id of the current network.
+async function getDeploymentChainId(hre, journal) {
+    const [first] = journal;
+    if (first && first.type === "DEPLOYMENT_INITIALIZE" && first.chainId !== undefined) {
+        return BigInt(first.chainId);
+    }
+    return await hre.common.getChainId();
+}
+
+// Gets the addresses of the contracts recorded in a deployment
+// journal: the deployed ones and the contractAt ones.
+function getJournalAddresses(journal) {
+    const addresses = new Set();
+    for (const {type, result, contractAddress} of journal) {
+        if (type === "DEPLOYMENT_EXECUTION_STATE_COMPLETE" && result && result.type === "SUCCESS") {
+            addresses.add(result.address.toLowerCase());
+        } else if (type === "CONTRACT_AT_EXECUTION_STATE_INITIALIZE") {
+            addresses.add(contractAddress.toLowerCase());
+        }
+    }
+    return [...addresses];
+}
+
+// The timestamp part of the backup ids.
+const BACKUP_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+// Makes a backup id, for a deployment, from the current time.
+function makeBackupId(deploymentId) {
+    return `${deploymentId}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+}
+
+/**
+ * Lists the backups of a deployment (or of all the deployments),
+ * from the oldest to the newest.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, all the backups are listed.
+ * @returns {Promise<string[]>} The backup ids (async function).
+ */
+async function listDeploymentBackups(hre, deploymentId) {
+    const backupsDir = getBackupsDir(hre);
+    if (!fs.existsSync(backupsDir)) return [];
+    // Backup ids are {deploymentId}-{timestamp}, so they sort
+    // chronologically for the same deployment id.
+    const prefix = deploymentId + "-";
+    return fs.readdirSync(backupsDir).filter((backupId) => !deploymentId || (
+        backupId.startsWith(prefix) && BACKUP_TIMESTAMP.test(backupId.substring(prefix.length))
+    )).sort();
+}
+
+/**
+ * Resets the deployments for the current network. By default, it refuses
+ * to do it in non-local chains, and the deployment is archived in a backup
+ * (which can be restored with restoreDeployment) instead of being deleted.
+ * The cached logs (see getLogs) of the deployment contracts are cleared as well.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @param options The options: {force, dryRun, backup}. `force` allows resetting
+ * deployments of non-local chains, `dryRun` only tells which files would be
+ * removed, and `backup` (true by default) tells whether to archive them.
+ * @returns {Promise<{deploymentId, files, backupId, dryRun}>} The deployment id,
+ * the removed files (relative to the deployment directory), the backup id (or
+ * null if no backup was made) and whether it was a dry run (async function).
+ */
+async function resetDeployment(hre, deploymentId, options) {
+    const {force, dryRun, backup} = options || {};
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    const deploymentDir = path.resolve(getDeploymentsDir(hre), deploymentId);
+    const result = {deploymentId, files: [], backupId: null, dryRun: !!dryRun};
+    if (!fs.existsSync(deploymentDir)) return result;
+
+    const journal = readJournalMessages(deploymentDir);
+    const chainId = await getDeploymentChainId(hre, journal);
+    if (!force && !LOCAL_CHAIN_IDS.includes(chainId)) {
+        throw new Error(
+            `Refusing to reset the deployment ${deploymentId}, since it belongs to a non-local ` +
+            `chain (chain id: ${chainId}). Use the force option if you really want to reset it.`
+        );
+    }
+
+    result.files = listFiles(deploymentDir);
+    if (dryRun) return result;
+
+    if (backup ?? true) {
+        result.backupId = makeBackupId(deploymentId);
+        fs.mkdirSync(getBackupsDir(hre), {recursive: true});
+        fs.renameSync(deploymentDir, path.resolve(getBackupsDir(hre), result.backupId));
+    } else {
+        fs.rmSync(deploymentDir, {recursive: true, force: true});
+    }
+    for (const address of getJournalAddresses(journal)) {
+        await clearLogCache(hre, {chainId, address});
+    }
+    return result;
+}
+
+/**
+ * Restores a deployment from a backup made by resetDeployment. It refuses
+ * to do it if the deployment exists, unless forced (in which case the
+ * existing deployment is reset, and archived, first).
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If missing, it will be inferred.
+ * @param options The options: {backupId, force}. By default, the newest
+ * backup of the deployment is restored.
+ * @returns {Promise<{deploymentId, backupId}>} The deployment id and the
+ * restored backup id (async function).
+ */
+async function restoreDeployment(hre, deploymentId, options) {
+    let {backupId, force} = options || {};
+    deploymentId = await resolveDeploymentId(hre, deploymentId);
+    backupId ||= (await listDeploymentBackups(hre, deploymentId)).pop();
+    const backupDir = backupId && path.resolve(getBackupsDir(hre), backupId);
+    if (!backupDir || !fs.existsSync(backupDir)) {
+        throw new Error(`There is no backup ${backupId ? backupId + " " : ""}to restore for the deployment ${deploymentId}`);
+    }
+
+    const deploymentDir = path.resolve(getDeploymentsDir(hre), deploymentId);
+    if (fs.existsSync(deploymentDir)) {
+        if (!force) {
+            throw new Error(
+                `Refusing to restore the deployment ${deploymentId}, since it already exists. ` +
+                "Use the force option to reset it (with a backup) before restoring."
+            );
+        }
+        await resetDeployment(hre, deploymentId, {force});
+    }
+    fs.mkdirSync(getDeploymentsDir(hre), {recursive: true});
+    fs.renameSync(backupDir, deploymentDir);
+    return {deploymentId, backupId};
+}
+
+module.exports = {
+    getBackupsDir, listDeploymentBackups, resetDeployment, restoreDeployment
+}
@@ -1,26 +1,33 @@
 const {extendEnvironment} = require("hardhat/config");
-const path = require("path");
-const fs = require("fs");
-
-/**
- * Resets the deployments for the current network.
- * @param hre The hardhat runtime environment.
- * @param deploymentId The deployment id. If missing, it will be inferred.
- * @returns {Promise<void>} Nothing (async function).
- */
-async function resetDeployment(hre, deploymentId) {
-    const chainId = (await hre.ethers.provider.getNetwork()).chainId;
-    const deploymentDir = path.resolve(
-        hre.config.paths.root, "ignition", 'deployments', deploymentId || `chain-${chainId}`
-    );
-    try {
-        fs.rmdirSync(deploymentDir, { recursive: true });
-    } catch {
-        try {
-            fs.rmSync(deploymentDir, { recursive: true });
-        } catch {}
-    }
-}
+const {CommonContractError, toCommonContractError} = require("./errors/contract");
+const {IgnitionDeploymentError} = require("./errors/ignition");
+const {TransactionError} = require("./errors/transaction");
+const {
+    listDeployments, getDeployedAddresses, getDeployedContract, getDeployedContracts, readDeploymentJournal
+} = require("./ignition/registry");
+const {listDeploymentBackups, resetDeployment, restoreDeployment} = require("./ignition/reset");
+const {multicall} = require("./multicall/common");
+const {exportLogs} = require("./eventLogs/export");
+const {clearLogCache} = require("./eventLogs/cache");
+const {resolveFunction} = require("./abi/functions");
+const {normalizeOutputs} = require("./abi/outputs");
+const abiCodec = require("./abi/codec");
+const {makeErc20Helpers, makeErc721Helpers, makeErc1155Helpers} = require("./tokens/common");
+const {makeNetworkHelpers} = require("./network/common");
+const {
+    hashMessage, hashTypedData, recoverAddress, recoverTypedDataAddress, verifyMessage, verifyTypedData
+} = require("./signatures/common");
+const {
+    makeNonceManager, withManagedNonce, makeTransactionQueue, replaceTransaction, cancelTransaction
+} = require("./nonces/common");
+const {getFeeData, applyFeeStrategy} = require("./fees/common");
+const {getTransactionHash, estimateTransactionGas} = require("./transactions/common");
+const {estimateDeploymentGas} = require("./deployment/common");
+const {getNamedSigner, getNamedAccounts} = require("./accounts/common");
+const {getProxyInfo, resolveProxiedAbi} = require("./proxies/common");
+const {waitForTransaction} = require("./transactions/wait");
+const {decodeTransaction} = require("./decoding/common");
+require("./tasks");
 
 /**
  * Normalizes the options for a transfer operation.
@@ -48,10 +55,10 @@ async function normalizeTransferTxOptions(txOpts) {
 }
 
 /**
- * Given an account index, normalizes it to get an account.
+ * Given an account index or name, normalizes it to get an account.
  * If undefined, it uses the default one.
  * @param hre The hardhat runtime environment.
- * @param account The account index.
+ * @param account The account index or name (or the signer itself).
  * @returns {Promise<void>} The signer (async function).
  */
 async function normalizeSigner(hre, account) {
@@ -59,10 +66,10 @@ async function normalizeSigner(hre, account) {
 
     if (account !== undefined) {
         if (typeof account === "bigint") {
-            account = account.toNumber();
+            account = Number(account);
         }
 
-        if (typeof account === "number") {
+        if (typeof account === "number" || typeof account === "string") {
             signer = await hre.common.getSigner(account);
         } else {
             signer = account;
@@ -73,64 +80,28 @@ async function normalizeSigner(hre, account) {
 }
 
 /**
- * Inspects the ignition addresses for a deployment id and retrieves
- a contract instance from a given deployed contract (future) id.
+ * Normalizes the options to replace or cancel a transaction,
+ * turning the account index (if any) into a signer.
  * @param hre The hardhat runtime environment.
- * @Param contractId The deployed contract (future) id.
- * @param deploymentId The deployment id.
- * @return {Promise<*>} A contract instance (async function).
+ * @param options The options.
+ * @returns {Promise<{}>} The normalized options (async function).
  */
-async function getDeployedContract(hre, contractId, deploymentId) {
-    // 1. Determine the actual deployment id.
-    const chainId = await hre.common.getChainId();
-    deploymentId ||= `chain-${chainId}`;
-
-    // 2. Determine the path and load the deployed addresses, if able.
-    let addresses = {};
-    try {
-        const fullPath = path.resolve(
-            hre.config.paths.root, "ignition", "deployments", deploymentId, "deployed_addresses.json"
-        );
-        addresses = JSON.parse(fs.readFileSync(fullPath, {encoding: 'utf8'}));
-    } catch(e) {}
-
-    // 3. From the deployed addresses, get the address we want.
-    const address = addresses[contractId];
-    if (!address) {
-        throw new Error(
-            `It seems that the contract ${contractId} is not deployed in the ` +
-            `deployment id ${deploymentId}. Ensure the deployment is actually ` +
-            "done for that contract."
-        )
-    }
-
-    // 4. Now, load the artifact and get its ABI:
-    let artifact = {};
-    try {
-        const artifactPath = path.resolve(
-            hre.config.paths.root, "ignition", "deployments", deploymentId, "artifacts", contractId + ".json"
-        );
-        artifact = JSON.parse(fs.readFileSync(artifactPath, {encoding: 'utf8'}));
-    } catch(e) {}
-    const abi = artifact.abi;
-    if (!abi || !abi.length) {
-        throw new Error(
-            `The contract data for the contract id ${contractId} in the deployment `
-            `id ${deploymentId} seems to be corrupted. Either you're in serious `
-            `troubles or this is your local network and you just need to redeploy `
-            `everything to make this work. Keep in touch with your team if this is `
-            `related to corrupted contract deployment data in a mainnet.`
-        );
-    }
-
-    // 5. Instantiate the contract by using the proper provider.
-    return await hre.common.getContractAt(abi, address);
+async function normalizeReplacementOptions(hre, options) {
+    options ||= {};
+    if (options.account === undefined) return options;
+    return {...options, account: await normalizeSigner(hre, options.account)};
 }
 
 extendEnvironment((hre) => {
     hre.common ||= {};
     if (hre.ethers) {
-        const {fetchLogs, fetchTransactionLogs, watchLogs} = require("./eventLogs/ethers");
+        const {
+            fetchLogs, fetchAllLogs, iterateLogs, iterateAllLogs, fetchTransactionLogs, watchLogs, decodeRawLog
+        } = require("./eventLogs/ethers");
+        const {wrapTransaction, sendTransaction, getTransactionReceipt} = require("./transactions/ethers");
+        const {deployContract} = require("./deployment/ethers");
+        const {signMessage, signTypedData} = require("./signatures/ethers");
+        const getContractAbi = (contract) => JSON.parse(contract.interface.formatJson());
 
         hre.common.isAddress = (value) => {
             try {
@@ -145,65 +116,153 @@ extendEnvironment((hre) => {
         hre.common.getChainId = async () => {
             return BigInt((await hre.ethers.provider.getNetwork()).chainId);
         };
-        hre.common.getContractAt = async (artifactOrAbi, address, account) => {
+        hre.common.getContractAt = async (artifactOrAbi, address, account, options) => {
+            artifactOrAbi = await resolveProxiedAbi(hre, artifactOrAbi, options);
             let contract = await hre.ethers.getContractAt(artifactOrAbi, address);
             if (typeof account === "bigint") {
-                account = account.toNumber();
+                account = Number(account);
             }
-            if (typeof account === "number") {
-                account = await hre.common.getSigner(Number(account));
+            if (typeof account === "number" || typeof account === "string") {
+                account = await hre.common.getSigner(account);
             }
             if (account) {
                 contract = contract.connect(account);
             }
             return contract;
         }
-        hre.common.send = async (contract, method, args, txOpts) => {
-            let {account, from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
+        // Converts the transaction options to the ethers ones, connecting
+        // the contract to the chosen account (if any).
+        const prepareContractTx = async (contract, txOpts) => {
+            let {account, from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, value, eip155} = txOpts || {};
             const newOpts = {
-                gasLimit: gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
+                gasLimit: gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce,
                 value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
             };
             if (account !== undefined) {
                 if (typeof account === "bigint") {
-                    account = account.toNumber();
+                    account = Number(account);
                 }
-                if (typeof account === "number") {
+                if (typeof account === "number" || typeof account === "string") {
                     account = await hre.common.getSigner(account);
                 }
                 contract = contract.connect(account);
             } else if (from) {
                 newOpts.from = from;
             }
+            return {contract, newOpts};
+        }
+        hre.common.send = async (contract, method, args, txOpts) => {
+            txOpts = await applyFeeStrategy(
+                hre, txOpts, (opts) => hre.common.estimateGas(contract, method, args, opts)
+            );
+            let newOpts;
+            ({contract, newOpts} = await prepareContractTx(contract, txOpts));
+            // The method might be "foo" or "foo(type1,type2,...)".
+            // It will be respected both ways.
+            try {
+                return await withManagedNonce(hre, txOpts, () => contract.runner.getAddress(), async (nonce) => {
+                    return wrapTransaction(hre, await contract[method](...args, {...newOpts, nonce}));
+                });
+            } catch(e) {
+                throw toCommonContractError(e, getContractAbi(contract));
+            }
+        }
+        hre.common.simulate = async (contract, method, args, txOpts) => {
+            let newOpts;
+            ({contract, newOpts} = await prepareContractTx(contract, txOpts));
             // The method might be "foo" or "foo(type1,type2,...)".
             // It will be respected both ways.
-            return await contract[method](...args, newOpts);
+            try {
+                return await contract[method].staticCall(...args, newOpts);
+            } catch(e) {
+                throw toCommonContractError(e, getContractAbi(contract));
+            }
+        }
+        hre.common.estimateGas = async (contract, method, args, txOpts) => {
+            let newOpts;
+            ({contract, newOpts} = await prepareContractTx(contract, txOpts));
+            // The method might be "foo" or "foo(type1,type2,...)".
+            // It will be respected both ways.
+            try {
+                return BigInt(await contract[method].estimateGas(...args, newOpts));
+            } catch(e) {
+                throw toCommonContractError(e, getContractAbi(contract));
+            }
         }
-        hre.common.call = async (contract, method, args) => {
+        hre.common.call = async (contract, method, args, options) => {
             // The method might be "foo" or "foo(type1,type2,...)".
             // It will be respected both ways.
-            return await contract[method](...args);
+            let result;
+            try {
+                result = await contract[method](...args);
+            } catch(e) {
+                throw toCommonContractError(e, getContractAbi(contract));
+            }
+            if (options && options.raw) return result;
+            return normalizeOutputs(resolveFunction(getContractAbi(contract), method, args), result);
         }
         hre.common.getLogs = (...args) => fetchLogs(hre, ...args);
+        hre.common.getAllLogs = (...args) => fetchAllLogs(hre, ...args);
+        hre.common.iterateLogs = (...args) => iterateLogs(hre, ...args);
+        hre.common.iterateAllLogs = (...args) => iterateAllLogs(hre, ...args);
         hre.common.getTransactionLogs = (...args) => fetchTransactionLogs(hre, ...args);
         hre.common.watchLogs = (...args) => watchLogs(hre, ...args);
         hre.common.getContractAddress = (contract) => contract.target;
-        hre.common.keccak256 = (text) => hre.ethers.keccak256(hre.ethers.toUtf8Bytes(text));
+        hre.common.getContractAbi = getContractAbi;
+        hre.common.deployContract = async (nameOrArtifact, constructorArgs, options) => {
+            options ||= {};
+            const account = await normalizeSigner(hre, options.account);
+            options = await applyFeeStrategy(hre, options, (opts) => estimateDeploymentGas(
+                hre, nameOrArtifact, constructorArgs, {...opts, from: hre.common.getAddress(account)}
+            ));
+            return await withManagedNonce(hre, options, async () => hre.common.getAddress(account), async (nonce) => {
+                return await deployContract(hre, nameOrArtifact, constructorArgs, {...options, account, nonce});
+            });
+        }
         hre.common.getBalance = (address) => hre.ethers.provider.getBalance(address);
         hre.common.transfer = async (to, txOpts) => {
             txOpts = await normalizeTransferTxOptions(txOpts);
+            let signer = await normalizeSigner(hre, txOpts.account);
+            txOpts = await applyFeeStrategy(hre, txOpts, (opts) => estimateTransactionGas(
+                hre, {from: hre.common.getAddress(signer), to, value: opts.value}
+            ));
             // `from` will not be supported.
-            let {account, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
+            let {gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
             const newOpts = {
                 to, gasLimit: gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
                 value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
             };
-            let signer = await normalizeSigner(hre, account);
-            return await signer.sendTransaction(newOpts);
+            return await withManagedNonce(hre, txOpts, async () => hre.common.getAddress(signer), async (nonce) => {
+                return wrapTransaction(hre, await signer.sendTransaction({...newOpts, nonce}));
+            });
         }
+        hre.common.signMessage = async (message, account) => await signMessage(
+            await normalizeSigner(hre, account), message
+        );
+        hre.common.signTypedData = async (typedData, account) => await signTypedData(
+            await normalizeSigner(hre, account), typedData
+        );
+        hre.common.network = makeNetworkHelpers(hre, (address) => hre.ethers.getSigner(address));
+        hre.common.waitForTransaction = (txOrHash, options) => waitForTransaction(
+            hre, txOrHash, options, (hash) => getTransactionReceipt(hre, hash)
+        );
+        hre.common.decodeTransaction = (txOrHash) => decodeTransaction(
+            hre, getTransactionHash(txOrHash), (eventAbis, log) => decodeRawLog(hre, eventAbis, log)
+        );
+        hre.common.replaceTransaction = async (tx, options) => await replaceTransaction(
+            hre, tx, await normalizeReplacementOptions(hre, options), sendTransaction
+        );
+        hre.common.cancelTransaction = async (tx, options) => await cancelTransaction(
+            hre, tx, await normalizeReplacementOptions(hre, options), sendTransaction
+        );
     } else if (hre.viem) {
-        const {isAddress, getContract, keccak256} = require("viem");
-        const {fetchLogs, fetchTransactionLogs, watchLogs} = require("./eventLogs/viem");
+        const {isAddress, getContract} = require("viem");
+        const {
+            fetchLogs, fetchAllLogs, iterateLogs, iterateAllLogs, fetchTransactionLogs, watchLogs, decodeRawLog
+        } = require("./eventLogs/viem");
+        const {wrapTransaction, sendTransaction, getTransactionReceipt} = require("./transactions/viem");
+        const {deployContract} = require("./deployment/viem");
+        const {signMessage, signTypedData} = require("./signatures/viem");
 
         hre.common.isAddress = (value) => isAddress(value, {strict: true});
         hre.common.getAddress = (signer) => signer.account.address;
@@ -215,9 +274,12 @@ extendEnvironment((hre) => {
             }
             return BigInt(await signers[0].getChainId());
         };
-        hre.common.getContractAt = async (artifactOrAbi, address, account) => {
+        hre.common.getContractAt = async (artifactOrAbi, address, account, options) => {
+            artifactOrAbi = await resolveProxiedAbi(hre, artifactOrAbi, options);
             if (typeof account === "number" || typeof account === "bigint") {
                 account = await hre.common.getSigner(Number(account));
+            } else if (typeof account === "string") {
+                account = await hre.common.getSigner(account);
             }
 
             if (typeof artifactOrAbi === "string") {
@@ -235,7 +297,7 @@ extendEnvironment((hre) => {
                         await import("@nomicfoundation/hardhat-viem/internal/errors.js");
                     throw new DefaultWalletClientNotFoundError(hre.network.name);
                 }
-                const walletClient = walletClients[0];
+                const walletClient = account || walletClients[0];
                 return getContract({
                     address,
                     client: {
@@ -246,61 +308,174 @@ extendEnvironment((hre) => {
                 });
             }
         }
-        hre.common.send = async (contract, method, args, txOpts) => {
-            let {account, from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
+        // Converts the transaction options to the viem ones.
+        const prepareContractTx = async (txOpts) => {
+            let {account, from, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, value, eip155} = txOpts || {};
             const newOpts = {
-                gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
+                gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce,
                 value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
             };
             if (account !== undefined) {
                 if (typeof account === "bigint") {
-                    account = account.toNumber();
+                    account = Number(account);
                 }
-                if (typeof account === "number") {
-                    account = await hre.common.getSigner(Number(account));
+                if (typeof account === "number" || typeof account === "string") {
+                    account = await hre.common.getSigner(account);
                 }
-                // The method might be "foo" or "foo(type1,type2,...)".
-                // It will keep only the name.
-                return await contract.write[method.split("(")[0]](account, args, newOpts);
+                newOpts.account = account.account;
             } else if (from) {
                 newOpts.from = from;
             }
+            return newOpts;
+        }
+        hre.common.send = async (contract, method, args, txOpts) => {
+            txOpts = await applyFeeStrategy(
+                hre, txOpts, (opts) => hre.common.estimateGas(contract, method, args, opts)
+            );
+            const newOpts = await prepareContractTx(txOpts);
+            // The method might be "foo" or "foo(type1,type2,...)".
+            // It will keep only the name.
+            // When no account is given, the default one is assumed to
+            // be the sender (for the managed nonce).
+            const getSender = async () => (newOpts.account || (await hre.common.getSigner(0)).account).address;
+            try {
+                return await withManagedNonce(hre, txOpts, getSender, async (nonce) => {
+                    return wrapTransaction(hre, await contract.write[method.split("(")[0]](args, {...newOpts, nonce}));
+                });
+            } catch(e) {
+                throw toCommonContractError(e, contract.abi);
+            }
+        }
+        hre.common.simulate = async (contract, method, args, txOpts) => {
+            const newOpts = await prepareContractTx(txOpts);
             // The method might be "foo" or "foo(type1,type2,...)".
             // It will keep only the name.
-            return await contract.write[method.split("(")[0]](args, newOpts);
+            try {
+                return (await contract.simulate[method.split("(")[0]](args, newOpts)).result;
+            } catch(e) {
+                throw toCommonContractError(e, contract.abi);
+            }
         }
-        hre.common.call = async (contract, method, args) => {
+        hre.common.estimateGas = async (contract, method, args, txOpts) => {
+            const newOpts = await prepareContractTx(txOpts);
             // The method might be "foo" or "foo(type1,type2,...)".
             // It will keep only the name.
-            return await contract.read[method.split("(")[0]](args);
+            try {
+                return BigInt(await contract.estimateGas[method.split("(")[0]](args, newOpts));
+            } catch(e) {
+                throw toCommonContractError(e, contract.abi);
+            }
+        }
+        hre.common.call = async (contract, method, args, options) => {
+            // The method might be "foo" or "foo(type1,type2,...)".
+            // It will keep only the name.
+            let result;
+            try {
+                result = await contract.read[method.split("(")[0]](args);
+            } catch(e) {
+                throw toCommonContractError(e, contract.abi);
+            }
+            if (options && options.raw) return result;
+            return normalizeOutputs(resolveFunction(contract.abi, method, args), result);
         }
         hre.common.getLogs = (...args) => fetchLogs(hre, ...args);
+        hre.common.getAllLogs = (...args) => fetchAllLogs(hre, ...args);
+        hre.common.iterateLogs = (...args) => iterateLogs(hre, ...args);
+        hre.common.iterateAllLogs = (...args) => iterateAllLogs(hre, ...args);
         hre.common.getTransactionLogs = (...args) => fetchTransactionLogs(hre, ...args);
         hre.common.watchLogs = (...args) => watchLogs(hre, ...args);
         hre.common.getContractAddress = (contract) => contract.address;
-        hre.common.keccak256 = (text) => keccak256(text);
+        hre.common.getContractAbi = (contract) => contract.abi;
+        hre.common.deployContract = async (nameOrArtifact, constructorArgs, options) => {
+            options ||= {};
+            const account = await normalizeSigner(hre, options.account);
+            options = await applyFeeStrategy(hre, options, (opts) => estimateDeploymentGas(
+                hre, nameOrArtifact, constructorArgs, {...opts, from: hre.common.getAddress(account)}
+            ));
+            return await withManagedNonce(hre, options, async () => hre.common.getAddress(account), async (nonce) => {
+                return await deployContract(hre, nameOrArtifact, constructorArgs, {...options, account, nonce});
+            });
+        }
         hre.common.getBalance = async (address) => await (
             await hre.viem.getPublicClient(hre.network.provider)
         ).getBalance({address});
         hre.common.transfer = async (to, txOpts) => {
             txOpts = await normalizeTransferTxOptions(txOpts);
+            let signer = await normalizeSigner(hre, txOpts.account);
+            txOpts = await applyFeeStrategy(hre, txOpts, (opts) => estimateTransactionGas(
+                hre, {from: hre.common.getAddress(signer), to, value: opts.value}
+            ));
             // `from` will not be supported.
-            let {account, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
+            let {gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, value, eip155} = txOpts || {};
             const newOpts = {
                 to, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
                 value, chainId: eip155 ? (await hre.common.getChainId()) : undefined
             };
-            let signer = await normalizeSigner(hre, account);
-            return await signer.sendTransaction(newOpts);
+            return await withManagedNonce(hre, txOpts, async () => hre.common.getAddress(signer), async (nonce) => {
+                return wrapTransaction(hre, await signer.sendTransaction({...newOpts, nonce}));
+            });
         }
+        hre.common.signMessage = async (message, account) => await signMessage(
+            await normalizeSigner(hre, account), message
+        );
+        hre.common.signTypedData = async (typedData, account) => await signTypedData(
+            await normalizeSigner(hre, account), typedData
+        );
+        hre.common.network = makeNetworkHelpers(hre, (address) => hre.viem.getWalletClient(address));
+        hre.common.waitForTransaction = (txOrHash, options) => waitForTransaction(
+            hre, txOrHash, options, (hash) => getTransactionReceipt(hre, hash)
+        );
+        hre.common.decodeTransaction = (txOrHash) => decodeTransaction(
+            hre, getTransactionHash(txOrHash), (eventAbis, log) => decodeRawLog(hre, eventAbis, log)
+        );
+        hre.common.replaceTransaction = async (tx, options) => await replaceTransaction(
+            hre, tx, await normalizeReplacementOptions(hre, options), sendTransaction
+        );
+        hre.common.cancelTransaction = async (tx, options) => await cancelTransaction(
+            hre, tx, await normalizeReplacementOptions(hre, options), sendTransaction
+        );
     } else {
         throw new Error("It seems that neither ethers nor viem is installed in this project");
     }
-    hre.common.getSigner = async (idx) => (await hre.common.getSigners())[idx];
+    hre.common.getSigner = async (idx) => {
+        // Strings are named accounts (from the `namedAccounts` config).
+        if (typeof idx === "string") return await getNamedSigner(hre, idx);
+        return (await hre.common.getSigners())[idx];
+    };
+    hre.common.getNamedAccounts = () => getNamedAccounts(hre);
+    hre.common.getProxyInfo = (address) => getProxyInfo(hre, address);
+    hre.common.abi = {...abiCodec};
+    hre.common.keccak256 = (value, mode) => abiCodec.keccak256(value, mode);
+    hre.common.CommonContractError = CommonContractError;
+    hre.common.IgnitionDeploymentError = IgnitionDeploymentError;
+    hre.common.TransactionError = TransactionError;
+    hre.common.multicall = (calls) => multicall(hre, calls);
+    hre.common.exportLogs = (contract, events, options) => exportLogs(hre, contract, events, options);
+    hre.common.clearLogCache = (options) => clearLogCache(hre, options);
+    hre.common.hashMessage = hashMessage;
+    hre.common.hashTypedData = hashTypedData;
+    hre.common.recoverAddress = recoverAddress;
+    hre.common.recoverTypedDataAddress = recoverTypedDataAddress;
+    hre.common.verifyMessage = verifyMessage;
+    hre.common.verifyTypedData = verifyTypedData;
+    hre.common.erc20 = makeErc20Helpers(hre);
+    hre.common.erc721 = makeErc721Helpers(hre);
+    hre.common.erc1155 = makeErc1155Helpers(hre);
+    hre.common.nonces = makeNonceManager(hre);
+    hre.common.createTransactionQueue = (options) => makeTransactionQueue(hre, options);
+    hre.common.getFeeData = (options) => getFeeData(hre, options);
     if (hre.ignition && !hre.ignition.resetDeployment) {
-        hre.ignition.resetDeployment = (deploymentId) => resetDeployment(hre, deploymentId);
-        hre.ignition.getDeployedContract = (contractId, deploymentId) => getDeployedContract(
-            hre, contractId, deploymentId
+        hre.ignition.resetDeployment = (deploymentId, options) => resetDeployment(hre, deploymentId, options);
+        hre.ignition.restoreDeployment = (deploymentId, options) => restoreDeployment(hre, deploymentId, options);
+        hre.ignition.listDeploymentBackups = (deploymentId) => listDeploymentBackups(hre, deploymentId);
+        hre.ignition.getDeployedContract = (contractId, deploymentId, options) => getDeployedContract(
+            hre, contractId, deploymentId, options
+        );
+        hre.ignition.getDeployedContracts = (moduleId, deploymentId) => getDeployedContracts(
+            hre, moduleId, deploymentId
         );
+        hre.ignition.getDeployedAddresses = (deploymentId) => getDeployedAddresses(hre, deploymentId);
+        hre.ignition.listDeployments = () => listDeployments(hre);
+        hre.ignition.readDeploymentJournal = (deploymentId) => readDeploymentJournal(hre, deploymentId);
     }
 });
\ No newline at end of file
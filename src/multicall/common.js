@@ -0,0 +1,96 @@
+const {encodeFunctionData, decodeFunctionResult} = require("viem");
+const {MULTICALL3_ADDRESS, MULTICALL3_ABI, MULTICALL3_BYTECODE} = require("./constants");
+const {resolveFunction} = require("../abi/functions");
+const {normalizeOutputs} = require("../abi/outputs");
+const {revertDataToError, toCommonContractError} = require("../errors/contract");
+const {isLocalNetwork} = require("../network/common");
+
+/**
+ * Ensures Multicall3 exists at its canonical address. On local development
+ * networks (see isLocalNetwork), it is installed (via hardhat_setCode) when
+ * missing.
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function ensureMulticall3(hre) {
+    const provider = hre.network.provider;
+    const code = await provider.request({method: "eth_getCode", params: [MULTICALL3_ADDRESS, "latest"]});
+    if (code && code !== "0x") return;
+
+    if (!(await isLocalNetwork(hre))) {
+        throw new Error(
+            `Multicall3 is not deployed at ${MULTICALL3_ADDRESS} in the network ${hre.network.name}`
+        );
+    }
+    // Running the creation bytecode returns the runtime bytecode.
+    const runtimeCode = await provider.request({method: "eth_call", params: [{data: MULTICALL3_BYTECODE}, "latest"]});
+    await provider.request({method: "hardhat_setCode", params: [MULTICALL3_ADDRESS, runtimeCode]});
+}
+
+// Decodes the result of a single call, or builds its error.
+function decodeCallResult(abi, functionAbi, success, returnData, raw) {
+    if (!success) {
+        return {success, result: null, error: revertDataToError(returnData, abi)};
+    }
+    try {
+        const result = decodeFunctionResult({abi: [functionAbi], functionName: functionAbi.name, data: returnData});
+        return {success, result: raw ? result : normalizeOutputs(functionAbi, result), error: null};
+    } catch(e) {
+        return {success: false, result: null, error: e};
+    }
+}
+
+/**
+ * Performs many read calls in a single request, aggregating them
+ * through the Multicall3 contract.
+ * @param hre The hardhat runtime environment.
+ * @param calls The calls: an array of {contract, method, args, allowFailure, raw}
+ * where the method can be a name or a signature, allowFailure tells whether
+ * a failure should come back as a result (true) or be thrown (false, the
+ * default), and raw tells whether the result should be kept as decoded by
+ * viem (true) or normalized like in hre.common.call (false, the default).
+ * @returns {Promise<{success, result, error}[]>} The results, one per call
+ * and in the same order (async function). Failed calls have a null result
+ * and a CommonContractError (when reverted) as error.
+ */
+async function multicall(hre, calls) {
+    await ensureMulticall3(hre);
+
+    // Encode each call with its own contract ABI.
+    const prepared = calls.map(({contract, method, args, allowFailure, raw}) => {
+        const abi = hre.common.getContractAbi(contract);
+        const functionAbi = resolveFunction(abi, method, args);
+        return {
+            abi, functionAbi, allowFailure: !!allowFailure, raw: !!raw,
+            target: hre.common.getContractAddress(contract),
+            callData: encodeFunctionData({abi: [functionAbi], functionName: functionAbi.name, args: args || []})
+        };
+    });
+
+    // All the calls are allowed to fail in the aggregation, so
+    // the failures can be decoded (and thrown) individually.
+    const data = encodeFunctionData({
+        abi: MULTICALL3_ABI, functionName: "aggregate3",
+        args: [prepared.map(({target, callData}) => ({target, allowFailure: true, callData}))]
+    });
+    let returned;
+    try {
+        returned = await hre.network.provider.request({
+            method: "eth_call", params: [{to: MULTICALL3_ADDRESS, data}, "latest"]
+        });
+    } catch(e) {
+        throw toCommonContractError(e, MULTICALL3_ABI);
+    }
+
+    const results = decodeFunctionResult({abi: MULTICALL3_ABI, functionName: "aggregate3", data: returned});
+    return results.map(({success, returnData}, index) => {
+        const {abi, functionAbi, allowFailure, raw} = prepared[index];
+        const result = decodeCallResult(abi, functionAbi, success, returnData, raw);
+        if (!result.success && !allowFailure) throw result.error;
+        return result;
+    });
+}
+
+module.exports = {
+    ensureMulticall3, multicall
+}
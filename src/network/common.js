@@ -0,0 +1,124 @@
+// The client versions (web3_clientVersion) which are known to
+// support the local-chain (hardhat_* / evm_*) methods.
+const LOCAL_CLIENTS = /hardhatnetwork|anvil/i;
+const HARDHAT_CLIENT = /hardhatnetwork/i;
+
+// Converts a number to an RPC quantity (no leading zeros).
+function toQuantity(value) {
+    return "0x" + BigInt(value).toString(16);
+}
+
+// Converts a number or hex string to a 32-bytes RPC word.
+function toWord(value) {
+    if (typeof value === "string" && value.startsWith("0x")) {
+        value = value.slice(2);
+    } else {
+        value = BigInt(value).toString(16);
+    }
+    if (value.length > 64) {
+        throw new Error(`The value 0x${value} does not fit in a storage slot`);
+    }
+    return "0x" + value.padStart(64, "0");
+}
+
+/**
+ * Tells whether the current network is a local development one
+ * (i.e. one that supports the hardhat_* and evm_* methods).
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<boolean>} Whether it is a local network (async function).
+ */
+async function isLocalNetwork(hre) {
+    if (hre.network.name === "hardhat") return true;
+    return LOCAL_CLIENTS.test(await getClientVersion(hre));
+}
+
+// Gets the client version of the current network, or an
+// empty string if it cannot be retrieved.
+async function getClientVersion(hre) {
+    try {
+        return await hre.network.provider.request({method: "web3_clientVersion", params: []});
+    } catch {
+        return "";
+    }
+}
+
+// Tells whether the current network is a hardhat one (i.e. one
+// that supports the interval argument of hardhat_mine).
+async function isHardhatNetwork(hre) {
+    if (hre.network.name === "hardhat") return true;
+    return HARDHAT_CLIENT.test(await getClientVersion(hre));
+}
+
+/**
+ * Makes the local-chain helpers. All of them fail when the current
+ * network is not a local development one.
+ * @param hre The hardhat runtime environment.
+ * @param getSigner A function that gets a signer for an address.
+ * @returns {*} The local-chain helpers.
+ */
+function makeNetworkHelpers(hre, getSigner) {
+    let isLocal = null;
+    let isHardhat = null;
+    const request = async (method, params) => {
+        isLocal ??= await isLocalNetwork(hre);
+        if (!isLocal) {
+            throw new Error(
+                `The method ${method} is only available in local development networks ` +
+                `(e.g. hardhat or anvil), but the current network is: ${hre.network.name}`
+            );
+        }
+        return await hre.network.provider.request({method, params});
+    };
+
+    return {
+        isLocal: async () => (isLocal ??= await isLocalNetwork(hre)),
+        getTimestamp: async () => BigInt(
+            (await hre.network.provider.request({method: "eth_getBlockByNumber", params: ["latest", false]})).timestamp
+        ),
+        increaseTime: async (seconds, {mine = true} = {}) => {
+            await request("evm_increaseTime", [toQuantity(seconds)]);
+            if (mine) await request("evm_mine", []);
+        },
+        setNextBlockTimestamp: async (timestamp) => {
+            await request("evm_setNextBlockTimestamp", [toQuantity(timestamp)]);
+        },
+        mine: async (blocks = 1, {interval = 1} = {}) => {
+            isHardhat ??= await isHardhatNetwork(hre);
+            if (isHardhat || BigInt(interval) === 1n) {
+                await request("hardhat_mine", [toQuantity(blocks), toQuantity(interval)]);
+                return;
+            }
+            // Other clients (i.e. anvil) don't honor the interval, so
+            // the blocks are mined one by one with their timestamps.
+            for (let index = 0n; index < BigInt(blocks); index++) {
+                if (index > 0n) {
+                    const {timestamp} = await request("eth_getBlockByNumber", ["latest", false]);
+                    await request("evm_setNextBlockTimestamp", [toQuantity(BigInt(timestamp) + BigInt(interval))]);
+                }
+                await request("evm_mine", []);
+            }
+        },
+        impersonate: async (address) => {
+            await request("hardhat_impersonateAccount", [address]);
+            return await getSigner(address);
+        },
+        stopImpersonating: async (address) => {
+            await request("hardhat_stopImpersonatingAccount", [address]);
+        },
+        setBalance: async (address, amount) => {
+            await request("hardhat_setBalance", [address, toQuantity(amount)]);
+        },
+        setCode: async (address, code) => {
+            await request("hardhat_setCode", [address, code]);
+        },
+        setStorageAt: async (address, slot, value) => {
+            await request("hardhat_setStorageAt", [address, toQuantity(slot), toWord(value)]);
+        },
+        snapshot: async () => await request("evm_snapshot", []),
+        revert: async (snapshotId) => await request("evm_revert", [snapshotId]),
+    };
+}
+
+module.exports = {
+    isLocalNetwork, makeNetworkHelpers
+}
@@ -0,0 +1,214 @@
+const {getTransactionHash} = require("../transactions/common");
+
+// The default fee bump (in percent) to replace a transaction.
+// Nodes usually require, at least, a 10% bump.
+const DEFAULT_BUMP_PERCENT = 15;
+
+/**
+ * Makes a nonce manager, which hands out the nonces of each signer
+ * locally (so concurrent transactions don't collide) and resyncs them
+ * from the node (pending transactions included) when told to. It is
+ * used by send, transfer and deployContract when the `managedNonce`
+ * transaction option is true, or when the manager is enabled.
+ * @param hre The hardhat runtime environment.
+ * @returns {*} The nonce manager.
+ */
+function makeNonceManager(hre) {
+    // The state of each address: the next nonce (or null
+    // when it must be synced) and the lock over it.
+    const states = {};
+    let enabled = false;
+
+    const getState = (address) => (states[address.toLowerCase()] ||= {nonce: null, lock: Promise.resolve()});
+
+    return {
+        enable: () => { enabled = true; },
+        disable: () => { enabled = false; },
+        isEnabled: () => enabled,
+        next: async (address) => {
+            const state = getState(address);
+            const run = state.lock.then(async () => {
+                if (state.nonce === null) {
+                    state.nonce = Number(await hre.network.provider.request({
+                        method: "eth_getTransactionCount", params: [address, "pending"]
+                    }));
+                }
+                return state.nonce++;
+            });
+            state.lock = run.catch(() => {});
+            return await run;
+        },
+        reset: (address) => {
+            if (address) {
+                delete states[address.toLowerCase()];
+            } else {
+                Object.keys(states).forEach((key) => delete states[key]);
+            }
+        },
+    };
+}
+
+/**
+ * Runs a transaction-sending function with a nonce. The nonce is the
+ * explicit one (if given), or one taken from the nonce manager when
+ * the nonce is managed. When a managed send fails, the nonces of the
+ * address are resynced from the node.
+ * @param hre The hardhat runtime environment.
+ * @param txOpts The transaction options: {nonce, managedNonce}.
+ * @param getAddress An async function getting the sender address.
+ * @param send An async function taking the nonce (possibly undefined)
+ * and sending the transaction.
+ * @returns {Promise<*>} The result of the send function (async function).
+ */
+async function withManagedNonce(hre, txOpts, getAddress, send) {
+    const {nonce, managedNonce} = txOpts || {};
+    if (nonce !== undefined && nonce !== null) return await send(Number(nonce));
+    if (!(managedNonce ?? hre.common.nonces.isEnabled())) return await send(undefined);
+    const address = await getAddress();
+    const managed = await hre.common.nonces.next(address);
+    try {
+        return await send(managed);
+    } catch(e) {
+        hre.common.nonces.reset(address);
+        throw e;
+    }
+}
+
+/**
+ * Makes a transaction queue, which runs up to a given number of tasks
+ * at once. Its send, transfer and deployContract methods use managed
+ * nonces, so they never collide.
+ * @param hre The hardhat runtime environment.
+ * @param options The options: {concurrency} (default: 1).
+ * @returns {*} The queue.
+ */
+function makeTransactionQueue(hre, options) {
+    const concurrency = (options && options.concurrency) || 1;
+    const tasks = [];
+    const idleResolvers = [];
+    let running = 0;
+
+    const pump = () => {
+        while (running < concurrency && tasks.length) {
+            const {fn, resolve, reject} = tasks.shift();
+            running++;
+            Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+                running--;
+                pump();
+            });
+        }
+        if (!running && !tasks.length) {
+            idleResolvers.splice(0).forEach((resolve) => resolve());
+        }
+    };
+    const add = (fn) => new Promise((resolve, reject) => {
+        tasks.push({fn, resolve, reject});
+        pump();
+    });
+
+    return {
+        add,
+        send: (contract, method, args, txOpts) => add(
+            () => hre.common.send(contract, method, args, {...txOpts, managedNonce: true})
+        ),
+        transfer: (to, txOpts) => add(() => hre.common.transfer(to, {
+            ...(typeof txOpts === "object" && txOpts !== null ? txOpts : {value: txOpts}), managedNonce: true
+        })),
+        deployContract: (nameOrArtifact, constructorArgs, deployOptions) => add(
+            () => hre.common.deployContract(nameOrArtifact, constructorArgs, {...deployOptions, managedNonce: true})
+        ),
+        onIdle: () => (running || tasks.length) ? new Promise((resolve) => idleResolvers.push(resolve)) : Promise.resolve(),
+        get size() { return tasks.length; },
+        get pending() { return running; },
+    };
+}
+
+// Bumps a fee by a percentage (rounding up).
+function bumpFee(fee, bumpPercent) {
+    const basisPoints = BigInt(Math.ceil(bumpPercent * 100));
+    return (BigInt(fee) * (10000n + basisPoints) + 9999n) / 10000n;
+}
+
+// Gets the pending transaction to replace, failing if it is
+// not found or already mined.
+async function getPendingTransaction(hre, tx) {
+    const hash = getTransactionHash(tx);
+    const pending = await hre.network.provider.request({method: "eth_getTransactionByHash", params: [hash]});
+    if (!pending) {
+        throw new Error(`The transaction ${hash} was not found`);
+    }
+    if (pending.blockNumber !== null && pending.blockNumber !== undefined) {
+        throw new Error(`The transaction ${hash} is already mined, so it cannot be replaced`);
+    }
+    return pending;
+}
+
+// Finds the signer of an address among the available ones.
+async function findSigner(hre, address) {
+    const signers = await hre.common.getSigners();
+    const signer = signers.find((item) => hre.common.getAddress(item).toLowerCase() === address.toLowerCase());
+    if (!signer) {
+        throw new Error(`There is no signer for the address ${address}. Use the account option to give one`);
+    }
+    return signer;
+}
+
+// Computes the bumped fees of a pending transaction, unless
+// they are explicitly given.
+function getBumpedFees(pending, options) {
+    const {bumpPercent, gasPrice, maxFeePerGas, maxPriorityFeePerGas} = options;
+    const bump = bumpPercent ?? DEFAULT_BUMP_PERCENT;
+    if (pending.maxFeePerGas !== undefined && pending.maxFeePerGas !== null) {
+        const priority = maxPriorityFeePerGas ?? bumpFee(pending.maxPriorityFeePerGas, bump);
+        let maxFee = maxFeePerGas ?? bumpFee(pending.maxFeePerGas, bump);
+        if (maxFee < priority) maxFee = priority;
+        return {maxFeePerGas: BigInt(maxFee), maxPriorityFeePerGas: BigInt(priority)};
+    }
+    return {gasPrice: BigInt(gasPrice ?? bumpFee(pending.gasPrice, bump))};
+}
+
+/**
+ * Replaces a pending (stuck) transaction by resubmitting it, with the
+ * same nonce, and bumped fees.
+ * @param hre The hardhat runtime environment.
+ * @param tx The transaction (handle) or its hash.
+ * @param options The options: {account, bumpPercent, gasPrice, maxFeePerGas,
+ * maxPriorityFeePerGas}. By default, the account is the signer of the
+ * transaction and the fees are bumped by 15%.
+ * @param sendTransaction The backend-specific function sending a transaction.
+ * @returns {Promise<{hash, native, wait, receipt, logs}>} The new transaction
+ * handle (async function).
+ */
+async function replaceTransaction(hre, tx, options, sendTransaction) {
+    options ||= {};
+    const pending = await getPendingTransaction(hre, tx);
+    const signer = options.account !== undefined ? options.account : await findSigner(hre, pending.from);
+    return await sendTransaction(hre, signer, {
+        to: pending.to, data: pending.input, value: BigInt(pending.value),
+        nonce: Number(pending.nonce), gas: BigInt(pending.gas), ...getBumpedFees(pending, options)
+    });
+}
+
+/**
+ * Cancels a pending (stuck) transaction by sending, with the same nonce
+ * and bumped fees, a zero-value transfer to its own signer.
+ * @param hre The hardhat runtime environment.
+ * @param tx The transaction (handle) or its hash.
+ * @param options The same options of replaceTransaction.
+ * @param sendTransaction The backend-specific function sending a transaction.
+ * @returns {Promise<{hash, native, wait, receipt, logs}>} The cancelling
+ * transaction handle (async function).
+ */
+async function cancelTransaction(hre, tx, options, sendTransaction) {
+    options ||= {};
+    const pending = await getPendingTransaction(hre, tx);
+    const signer = options.account !== undefined ? options.account : await findSigner(hre, pending.from);
+    return await sendTransaction(hre, signer, {
+        to: pending.from, data: "0x", value: 0n,
+        nonce: Number(pending.nonce), gas: 21000n, ...getBumpedFees(pending, options)
+    });
+}
+
+module.exports = {
+    makeNonceManager, withManagedNonce, makeTransactionQueue, replaceTransaction, cancelTransaction
+}
@@ -0,0 +1,136 @@
+const {getAddress, toFunctionSignature} = require("viem");
+
+// The EIP-1967 storage slots.
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+
+// The selector of the beacons' implementation() method.
+const BEACON_IMPLEMENTATION_SELECTOR = "0x5c60da1b";
+
+// Converts a 32-bytes word to an address, or null if it is zero.
+function wordToAddress(word) {
+    if (!word || word === "0x" || /^0x0*$/.test(word)) return null;
+    return getAddress("0x" + word.slice(-40));
+}
+
+// Reads an address from an EIP-1967 slot of a contract.
+async function readSlotAddress(hre, address, slot) {
+    return wordToAddress(await hre.network.provider.request({
+        method: "eth_getStorageAt", params: [address, slot, "latest"]
+    }));
+}
+
+/**
+ * Gets the EIP-1967 information of a (possible) proxy: its implementation,
+ * admin and beacon addresses. For beacon proxies, the implementation is
+ * the one currently told by the beacon.
+ * @param hre The hardhat runtime environment.
+ * @param address The proxy address.
+ * @returns {Promise<{address, kind, implementation, admin, beacon}>} The
+ * proxy information (async function). The kind is "beacon", "transparent"
+ * (when an admin is set), "uups" (when only an implementation is set) or
+ * null (when the address is not an EIP-1967 proxy). The missing addresses
+ * are null.
+ */
+async function getProxyInfo(hre, address) {
+    if (!hre.common.isAddress(address)) {
+        throw new Error(`Invalid address: ${address}`);
+    }
+    const beacon = await readSlotAddress(hre, address, BEACON_SLOT);
+    const admin = await readSlotAddress(hre, address, ADMIN_SLOT);
+    let implementation = await readSlotAddress(hre, address, IMPLEMENTATION_SLOT);
+    if (beacon) {
+        implementation = wordToAddress(await hre.network.provider.request({
+            method: "eth_call", params: [{to: beacon, data: BEACON_IMPLEMENTATION_SELECTOR}, "latest"]
+        }));
+    }
+    let kind = null;
+    if (beacon) {
+        kind = "beacon";
+    } else if (implementation) {
+        kind = admin ? "transparent" : "uups";
+    }
+    return {address: getAddress(address), kind, implementation, admin, beacon};
+}
+
+// Gets a key identifying an ABI entry, so repeated entries can be
+// detected. There can be only one constructor, fallback and receive.
+function getAbiEntryKey(entry) {
+    if (["function", "event", "error"].includes(entry.type)) {
+        return `${entry.type} ${toFunctionSignature(entry)}`;
+    }
+    return entry.type;
+}
+
+/**
+ * Merges the ABIs of an implementation and its proxy. The constructors
+ * are dropped and, for repeated entries (same signature), the ones in
+ * the implementation ABI are kept.
+ * @param implementationAbi The implementation ABI.
+ * @param proxyAbi The proxy ABI.
+ * @returns {Array} The merged ABI.
+ */
+function mergeProxyAbis(implementationAbi, proxyAbi) {
+    const keys = new Set();
+    const merged = [];
+    for (const entry of [...implementationAbi, ...proxyAbi]) {
+        if (entry.type === "constructor") continue;
+        const key = getAbiEntryKey(entry);
+        if (keys.has(key)) continue;
+        keys.add(key);
+        merged.push(entry);
+    }
+    return merged;
+}
+
+/**
+ * Loads an ABI, given an artifact name, an artifact or the ABI itself.
+ * @param hre The hardhat runtime environment.
+ * @param artifactOrAbi The artifact name, the artifact, or the ABI.
+ * @returns {Promise<Array>} The ABI (async function).
+ */
+async function loadAbi(hre, artifactOrAbi) {
+    if (typeof artifactOrAbi === "string") {
+        return (await hre.artifacts.readArtifact(artifactOrAbi)).abi;
+    }
+    if (Array.isArray(artifactOrAbi)) return artifactOrAbi;
+    if (artifactOrAbi && Array.isArray(artifactOrAbi.abi)) return artifactOrAbi.abi;
+    throw new Error("An artifact name, an artifact, or an ABI must be given");
+}
+
+/**
+ * Resolves the ABI to instantiate a contract with, merging it with the
+ * ABI of its proxy or implementation when one of them is given.
+ * @param hre The hardhat runtime environment.
+ * @param artifactOrAbi The artifact name, the artifact, or the ABI.
+ * @param options The proxy options: {proxy, implementation}, each being
+ * an artifact name, an artifact or an ABI. At most one must be given.
+ * `implementation: true` is rejected: only hre.ignition.getDeployedContract
+ * can find the implementation (among the deployed contracts).
+ * @returns {Promise<*>} The artifact or ABI to use (async function).
+ */
+async function resolveProxiedAbi(hre, artifactOrAbi, options) {
+    const {proxy, implementation} = options || {};
+    if (proxy && implementation) {
+        throw new Error("Only one of the proxy and implementation options can be given");
+    }
+    if (implementation === true) {
+        throw new Error(
+            "The implementation: true option is only supported by hre.ignition.getDeployedContract. " +
+            "Give the implementation artifact name, artifact or ABI instead."
+        );
+    }
+    if (proxy) {
+        return mergeProxyAbis(await loadAbi(hre, artifactOrAbi), await loadAbi(hre, proxy));
+    }
+    if (implementation) {
+        return mergeProxyAbis(await loadAbi(hre, implementation), await loadAbi(hre, artifactOrAbi));
+    }
+    return artifactOrAbi;
+}
+
+module.exports = {
+    IMPLEMENTATION_SLOT, ADMIN_SLOT, BEACON_SLOT,
+    getProxyInfo, mergeProxyAbis, loadAbi, resolveProxiedAbi
+}
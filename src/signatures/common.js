@@ -0,0 +1,122 @@
+const {
+    hashMessage: viemHashMessage, hashTypedData: viemHashTypedData, recoverMessageAddress,
+    recoverTypedDataAddress: viemRecoverTypedDataAddress, isAddressEqual
+} = require("viem");
+
+/**
+ * Normalizes a message to sign: a string is signed as UTF-8 text,
+ * while a Uint8Array or a {raw: "0x..."} object is signed as raw bytes.
+ * @param message The message.
+ * @returns {string|{raw}} The message, in viem format.
+ */
+function normalizeMessage(message) {
+    if (typeof message === "string") return message;
+    if (message instanceof Uint8Array) return {raw: message};
+    if (message && (typeof message.raw === "string" || message.raw instanceof Uint8Array)) return {raw: message.raw};
+    throw new Error("The message must be a string, a Uint8Array or a {raw: '0x...'} object");
+}
+
+// Collects the struct types reachable from a given type.
+function collectTypes(types, typeName, collected) {
+    const baseName = typeName.replace(/(\[\d*])+$/, "");
+    if (!types[baseName] || collected[baseName]) return;
+    collected[baseName] = types[baseName];
+    for (const {type} of types[baseName]) {
+        collectTypes(types, type, collected);
+    }
+}
+
+/**
+ * Normalizes the typed data to sign. The format is the same for both
+ * backends: {domain, types, primaryType, message}. The EIP712Domain type
+ * is optional (it is inferred from the domain) and is removed, as well as
+ * any struct type which is not reachable from the primary type.
+ * @param typedData The typed data.
+ * @returns {{domain, types, primaryType, message}} The normalized typed data.
+ */
+function normalizeTypedData(typedData) {
+    const {domain, types, primaryType, message} = typedData || {};
+    if (!types || !primaryType || !types[primaryType]) {
+        throw new Error("The typed data must have the types and a primaryType among them");
+    }
+    if (!message) {
+        throw new Error("The typed data must have a message");
+    }
+    const collected = {};
+    collectTypes(types, primaryType, collected);
+    delete collected.EIP712Domain;
+    return {domain: domain || {}, types: collected, primaryType, message};
+}
+
+/**
+ * Computes the EIP-191 hash of a message.
+ * @param message The message (see normalizeMessage).
+ * @returns {string} The hash.
+ */
+function hashMessage(message) {
+    return viemHashMessage(normalizeMessage(message));
+}
+
+/**
+ * Computes the EIP-712 hash of typed data.
+ * @param typedData The typed data (see normalizeTypedData).
+ * @returns {string} The hash.
+ */
+function hashTypedData(typedData) {
+    return viemHashTypedData(normalizeTypedData(typedData));
+}
+
+/**
+ * Recovers the address that signed a message (EIP-191).
+ * @param message The message (see normalizeMessage).
+ * @param signature The signature.
+ * @returns {Promise<string>} The checksum address (async function).
+ */
+async function recoverAddress(message, signature) {
+    return await recoverMessageAddress({message: normalizeMessage(message), signature});
+}
+
+/**
+ * Recovers the address that signed typed data (EIP-712).
+ * @param typedData The typed data (see normalizeTypedData).
+ * @param signature The signature.
+ * @returns {Promise<string>} The checksum address (async function).
+ */
+async function recoverTypedDataAddress(typedData, signature) {
+    return await viemRecoverTypedDataAddress({...normalizeTypedData(typedData), signature});
+}
+
+/**
+ * Tells whether a message (EIP-191) was signed by an address.
+ * @param address The address.
+ * @param message The message (see normalizeMessage).
+ * @param signature The signature.
+ * @returns {Promise<boolean>} Whether the address signed it (async function).
+ */
+async function verifyMessage(address, message, signature) {
+    try {
+        return isAddressEqual(address, await recoverAddress(message, signature));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Tells whether typed data (EIP-712) was signed by an address.
+ * @param address The address.
+ * @param typedData The typed data (see normalizeTypedData).
+ * @param signature The signature.
+ * @returns {Promise<boolean>} Whether the address signed it (async function).
+ */
+async function verifyTypedData(address, typedData, signature) {
+    try {
+        return isAddressEqual(address, await recoverTypedDataAddress(typedData, signature));
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    normalizeMessage, normalizeTypedData, hashMessage, hashTypedData,
+    recoverAddress, recoverTypedDataAddress, verifyMessage, verifyTypedData
+}
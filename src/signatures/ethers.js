@@ -0,0 +1,31 @@
+const {hexToBytes} = require("viem");
+const {normalizeMessage, normalizeTypedData} = require("./common");
+
+/**
+ * Signs a message (EIP-191).
+ * @param signer The signer.
+ * @param message The message (see normalizeMessage).
+ * @returns {Promise<string>} The signature (async function).
+ */
+async function signMessage(signer, message) {
+    message = normalizeMessage(message);
+    if (typeof message !== "string") {
+        message = typeof message.raw === "string" ? hexToBytes(message.raw) : message.raw;
+    }
+    return await signer.signMessage(message);
+}
+
+/**
+ * Signs typed data (EIP-712).
+ * @param signer The signer.
+ * @param typedData The typed data (see normalizeTypedData).
+ * @returns {Promise<string>} The signature (async function).
+ */
+async function signTypedData(signer, typedData) {
+    const {domain, types, message} = normalizeTypedData(typedData);
+    return await signer.signTypedData(domain, types, message);
+}
+
+module.exports = {
+    signMessage, signTypedData
+}
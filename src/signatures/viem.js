@@ -0,0 +1,25 @@
+const {normalizeMessage, normalizeTypedData} = require("./common");
+
+/**
+ * Signs a message (EIP-191).
+ * @param signer The signer (wallet client).
+ * @param message The message (see normalizeMessage).
+ * @returns {Promise<string>} The signature (async function).
+ */
+async function signMessage(signer, message) {
+    return await signer.signMessage({message: normalizeMessage(message)});
+}
+
+/**
+ * Signs typed data (EIP-712).
+ * @param signer The signer (wallet client).
+ * @param typedData The typed data (see normalizeTypedData).
+ * @returns {Promise<string>} The signature (async function).
+ */
+async function signTypedData(signer, typedData) {
+    return await signer.signTypedData(normalizeTypedData(typedData));
+}
+
+module.exports = {
+    signMessage, signTypedData
+}
@@ -0,0 +1,114 @@
+const {isAddress, isHex} = require("viem");
+const {getDeployedContract} = require("../ignition/registry");
+
+// Converts a (string or JSON) value to a boolean.
+function parseBoolean(value) {
+    if (value === true || value === false) return value;
+    const text = String(value).toLowerCase();
+    if (text === "true" || text === "1") return true;
+    if (text === "false" || text === "0") return false;
+    throw new Error(`Invalid boolean value: ${value}`);
+}
+
+/**
+ * Parses a CLI argument against its ABI parameter. Arrays and tuples
+ * must be given in JSON (e.g. '[1, 2]' or '{"to": "0x...", "amount": "1"}'
+ * or '["0x...", "1"]'), and integers can be given as strings.
+ * @param param The ABI parameter.
+ * @param value The argument (a string, or an already JSON-parsed value).
+ * @returns {*} The parsed value.
+ */
+function parseArgument(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[\d*]$/);
+    if (arrayMatch || param.type === "tuple") {
+        if (typeof value === "string") {
+            try {
+                value = JSON.parse(value);
+            } catch(e) {
+                throw new Error(`Invalid JSON value for the ${param.type} parameter ${param.name || ""}: ${value}`);
+            }
+        }
+    }
+    if (arrayMatch) {
+        if (!Array.isArray(value)) throw new Error(`An array is expected for the ${param.type} parameter`);
+        return value.map((item) => parseArgument({...param, type: arrayMatch[1]}, item));
+    }
+    if (param.type === "tuple") {
+        // Tuples can be given as arrays (by position) or objects (by name).
+        return param.components.map((component, index) => parseArgument(
+            component, Array.isArray(value) ? value[index] : value[component.name]
+        ));
+    }
+    if (value === undefined || value === null) {
+        throw new Error(`A value is expected for the ${param.type} parameter ${param.name || ""}`);
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+        try {
+            return BigInt(value);
+        } catch(e) {
+            throw new Error(`Invalid integer value: ${value}`);
+        }
+    }
+    if (param.type === "bool") return parseBoolean(value);
+    if (param.type === "address" && !isAddress(value, {strict: false})) {
+        throw new Error(`Invalid address value: ${value}`);
+    }
+    if (/^bytes\d*$/.test(param.type) && !isHex(value)) {
+        throw new Error(`Invalid bytes value: ${value}`);
+    }
+    return value;
+}
+
+/**
+ * Parses the CLI arguments against the ABI inputs.
+ * @param inputs The ABI inputs.
+ * @param args The arguments (strings).
+ * @returns {*[]} The parsed arguments.
+ */
+function parseArguments(inputs, args) {
+    args ||= [];
+    if (args.length !== inputs.length) {
+        throw new Error(`Expected ${inputs.length} arguments, but ${args.length} were given`);
+    }
+    return inputs.map((input, index) => parseArgument(input, args[index]));
+}
+
+/**
+ * Converts a value to JSON, safely for BigInt values. All the numbers
+ * are printed as strings, so the output is the same in ethers and viem
+ * (where small integers are numbers) and no precision is lost.
+ * @param value The value.
+ * @param indent The indentation (optional).
+ * @returns {string} The JSON.
+ */
+function toOutputJson(value, indent) {
+    return JSON.stringify(value, (key, item) => (
+        typeof item === "bigint" || typeof item === "number" ? item.toString() : item
+    ), indent);
+}
+
+/**
+ * Resolves the contract a task works on: either from an Ignition future
+ * id (and an optional deployment id) or from an artifact name and an
+ * address.
+ * @param hre The hardhat runtime environment.
+ * @param taskArgs The task args: {contract, deploymentId, artifact, address}.
+ * @param account The account index or name to connect the contract to (optional).
+ * @returns {Promise<*>} The contract instance (async function).
+ */
+async function resolveTaskContract(hre, {contract, deploymentId, artifact, address}, account) {
+    if (contract) {
+        const instance = await getDeployedContract(hre, contract, deploymentId);
+        return account === undefined ? instance : await hre.common.getContractAt(
+            hre.common.getContractAbi(instance), hre.common.getContractAddress(instance), account
+        );
+    }
+    if (artifact && address) {
+        return await hre.common.getContractAt(artifact, address, account);
+    }
+    throw new Error("Either --contract (an Ignition future id) or both --artifact and --address must be given");
+}
+
+module.exports = {
+    parseArgument, parseArguments, toOutputJson, resolveTaskContract
+}
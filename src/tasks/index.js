@@ -0,0 +1,116 @@
+const {task, types} = require("hardhat/config");
+const {resolveFunction} = require("../abi/functions");
+const {parseArguments, toOutputJson, resolveTaskContract} = require("./common");
+const {getDeployedAddresses, readDeploymentJournal} = require("../ignition/registry");
+
+// Adds the contract resolution params to a task.
+function addContractParams(definition) {
+    return definition
+        .addOptionalParam("contract", "The Ignition future id of the contract (e.g. MyModule#MyContract)")
+        .addOptionalParam("deploymentId", "The Ignition deployment id (by default, the one of the current chain)")
+        .addOptionalParam("artifact", "The artifact name of the contract (used with --address)")
+        .addOptionalParam("address", "The address of the contract (used with --artifact)");
+}
+
+// Parses a block param: a number (decimal or 0x-prefixed) or a tag.
+function parseBlock(block) {
+    return /^(\d+|0x[0-9a-fA-F]+)$/.test(block) ? BigInt(block) : block;
+}
+
+// The type of the account params: an index, or a named account.
+const accountType = {
+    name: "account",
+    parse: (argName, value) => (/^\d+$/.test(value) ? Number(value) : value),
+    validate: (argName, value) => {
+        if (!(Number.isInteger(value) && value >= 0) && !(typeof value === "string" && value)) {
+            throw new Error(`Invalid value ${value} for argument ${argName}: an account index or name is expected`);
+        }
+    },
+};
+
+// Prints the summary of a transaction, after waiting for it.
+async function printTransaction(tx) {
+    const receipt = await tx.wait();
+    console.log(toOutputJson({
+        hash: tx.hash, status: receipt.status, blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed, contractAddress: receipt.contractAddress
+    }, 2));
+}
+
+task("common:balance", "Prints the native balance of an address or account")
+    .addOptionalPositionalParam("address", "The address")
+    .addOptionalParam("account", "The account index or name (used when no address is given)", undefined, accountType)
+    .setAction(async ({address, account}, hre) => {
+        address ||= hre.common.getAddress(await hre.common.getSigner(account ?? 0));
+        console.log(toOutputJson({address, balance: await hre.common.getBalance(address)}, 2));
+    });
+
+task("common:transfer", "Transfers native tokens to an address")
+    .addPositionalParam("to", "The recipient address")
+    .addPositionalParam("value", "The amount to transfer, in wei")
+    .addOptionalParam("account", "The sender account index or name", undefined, accountType)
+    .setAction(async ({to, value, account}, hre) => {
+        await printTransaction(await hre.common.transfer(to, {value: BigInt(value), account}));
+    });
+
+addContractParams(task("common:call", "Invokes a view/pure method of a contract and prints the result"))
+    .addPositionalParam("method", "The method name or signature")
+    .addOptionalVariadicPositionalParam("args", "The method arguments (arrays and tuples in JSON)", [])
+    .addOptionalParam("account", "The account index or name to call from", undefined, accountType)
+    .setAction(async (taskArgs, hre) => {
+        const contract = await resolveTaskContract(hre, taskArgs, taskArgs.account);
+        const functionAbi = resolveFunction(hre.common.getContractAbi(contract), taskArgs.method, taskArgs.args);
+        const args = parseArguments(functionAbi.inputs, taskArgs.args);
+        console.log(toOutputJson(await hre.common.call(contract, taskArgs.method, args), 2));
+    });
+
+addContractParams(task("common:send", "Invokes a method of a contract in a transaction"))
+    .addPositionalParam("method", "The method name or signature")
+    .addOptionalVariadicPositionalParam("args", "The method arguments (arrays and tuples in JSON)", [])
+    .addOptionalParam("account", "The sender account index or name", undefined, accountType)
+    .addOptionalParam("value", "The amount to pay, in wei")
+    .setAction(async (taskArgs, hre) => {
+        const contract = await resolveTaskContract(hre, taskArgs);
+        const functionAbi = resolveFunction(hre.common.getContractAbi(contract), taskArgs.method, taskArgs.args);
+        const args = parseArguments(functionAbi.inputs, taskArgs.args);
+        const value = taskArgs.value === undefined ? undefined : BigInt(taskArgs.value);
+        await printTransaction(await hre.common.send(contract, taskArgs.method, args, {
+            account: taskArgs.account, value
+        }));
+    });
+
+addContractParams(task("common:logs", "Prints the logs of a contract, one JSON per line"))
+    .addOptionalPositionalParam("event", "The event name or signature (by default, all the events)")
+    .addOptionalParam("fromBlock", "The start block", "0")
+    .addOptionalParam("toBlock", "The end block", "latest")
+    .addOptionalParam("chunkSize", "Fetch the logs in chunks of this number of blocks", undefined, types.int)
+    .setAction(async (taskArgs, hre) => {
+        const contract = await resolveTaskContract(hre, taskArgs);
+        const options = taskArgs.chunkSize ? {chunkSize: taskArgs.chunkSize} : undefined;
+        const fromBlock = parseBlock(taskArgs.fromBlock);
+        const toBlock = parseBlock(taskArgs.toBlock);
+        const logs = taskArgs.event
+            ? await hre.common.getLogs(contract, taskArgs.event, fromBlock, toBlock, [], options)
+            : await hre.common.getAllLogs(contract, fromBlock, toBlock, undefined, options);
+        for (const {name, args, blockNumber, transactionHash, logIndex, topics, data} of logs) {
+            console.log(toOutputJson({name, args, blockNumber, transactionHash, logIndex, topics, data}));
+        }
+    });
+
+task("common:deployed", "Prints the Ignition-deployed contracts and their status")
+    .addOptionalParam("deploymentId", "The Ignition deployment id (by default, the one of the current chain)")
+    .setAction(async ({deploymentId}, hre) => {
+        const addresses = await getDeployedAddresses(hre, deploymentId);
+        const futures = await readDeploymentJournal(hre, deploymentId);
+        const result = {};
+        for (const futureId of new Set([...Object.keys(addresses), ...Object.keys(futures)])) {
+            const future = futures[futureId] || {};
+            result[futureId] = {
+                address: addresses[futureId] ?? future.address ?? null,
+                type: future.type ?? null,
+                status: future.status ?? null,
+                transactionHash: future.transactionHash ?? null
+            };
+        }
+        console.log(toOutputJson(result, 2));
+    });
@@ -0,0 +1,116 @@
+const {ERC20_ABI, ERC721_ABI, ERC1155_ABI} = require("./abis");
+
+// Gets an instance of a token contract (given by address or
+// by contract instance) bound to a standard ABI.
+async function getToken(hre, abi, token) {
+    const address = typeof token === "string" ? token : hre.common.getContractAddress(token);
+    return await hre.common.getContractAt(abi, address);
+}
+
+/**
+ * Makes the ERC-20 helpers. All of them take the token (an address or
+ * a contract instance) as the first argument. Transactional ones take
+ * the same transaction options `hre.common.send` takes.
+ * @param hre The hardhat runtime environment.
+ * @returns {*} The ERC-20 helpers.
+ */
+function makeErc20Helpers(hre) {
+    const call = async (token, method, args) => await hre.common.call(
+        await getToken(hre, ERC20_ABI, token), method, args
+    );
+    const send = async (token, method, args, txOpts) => await hre.common.send(
+        await getToken(hre, ERC20_ABI, token), method, args, txOpts
+    );
+    return {
+        abi: ERC20_ABI,
+        metadata: async (token) => ({
+            name: await call(token, "name", []),
+            symbol: await call(token, "symbol", []),
+            decimals: BigInt(await call(token, "decimals", []))
+        }),
+        totalSupply: async (token) => BigInt(await call(token, "totalSupply", [])),
+        balanceOf: async (token, owner) => BigInt(await call(token, "balanceOf", [owner])),
+        allowance: async (token, owner, spender) => BigInt(await call(token, "allowance", [owner, spender])),
+        transfer: (token, to, amount, txOpts) => send(token, "transfer", [to, BigInt(amount)], txOpts),
+        approve: (token, spender, amount, txOpts) => send(token, "approve", [spender, BigInt(amount)], txOpts),
+        transferFrom: (token, from, to, amount, txOpts) => send(
+            token, "transferFrom", [from, to, BigInt(amount)], txOpts
+        ),
+    };
+}
+
+/**
+ * Makes the ERC-721 helpers. All of them take the token (an address or
+ * a contract instance) as the first argument. Transactional ones take
+ * the same transaction options `hre.common.send` takes.
+ * @param hre The hardhat runtime environment.
+ * @returns {*} The ERC-721 helpers.
+ */
+function makeErc721Helpers(hre) {
+    const call = async (token, method, args) => await hre.common.call(
+        await getToken(hre, ERC721_ABI, token), method, args
+    );
+    const send = async (token, method, args, txOpts) => await hre.common.send(
+        await getToken(hre, ERC721_ABI, token), method, args, txOpts
+    );
+    return {
+        abi: ERC721_ABI,
+        metadata: async (token) => ({
+            name: await call(token, "name", []),
+            symbol: await call(token, "symbol", [])
+        }),
+        tokenURI: async (token, tokenId) => await call(token, "tokenURI", [BigInt(tokenId)]),
+        balanceOf: async (token, owner) => BigInt(await call(token, "balanceOf", [owner])),
+        ownerOf: async (token, tokenId) => await call(token, "ownerOf", [BigInt(tokenId)]),
+        getApproved: async (token, tokenId) => await call(token, "getApproved", [BigInt(tokenId)]),
+        isApprovedForAll: async (token, owner, operator) => await call(token, "isApprovedForAll", [owner, operator]),
+        approve: (token, to, tokenId, txOpts) => send(token, "approve", [to, BigInt(tokenId)], txOpts),
+        setApprovalForAll: (token, operator, approved, txOpts) => send(
+            token, "setApprovalForAll", [operator, approved], txOpts
+        ),
+        transferFrom: (token, from, to, tokenId, txOpts) => send(
+            token, "transferFrom", [from, to, BigInt(tokenId)], txOpts
+        ),
+        safeTransferFrom: (token, from, to, tokenId, data, txOpts) => send(
+            token, "safeTransferFrom(address,address,uint256,bytes)", [from, to, BigInt(tokenId), data ?? "0x"], txOpts
+        ),
+    };
+}
+
+/**
+ * Makes the ERC-1155 helpers. All of them take the token (an address or
+ * a contract instance) as the first argument. Transactional ones take
+ * the same transaction options `hre.common.send` takes.
+ * @param hre The hardhat runtime environment.
+ * @returns {*} The ERC-1155 helpers.
+ */
+function makeErc1155Helpers(hre) {
+    const call = async (token, method, args) => await hre.common.call(
+        await getToken(hre, ERC1155_ABI, token), method, args
+    );
+    const send = async (token, method, args, txOpts) => await hre.common.send(
+        await getToken(hre, ERC1155_ABI, token), method, args, txOpts
+    );
+    return {
+        abi: ERC1155_ABI,
+        uri: async (token, id) => await call(token, "uri", [BigInt(id)]),
+        balanceOf: async (token, owner, id) => BigInt(await call(token, "balanceOf", [owner, BigInt(id)])),
+        balanceOfBatch: async (token, owners, ids) => [...(await call(
+            token, "balanceOfBatch", [owners, ids.map(BigInt)]
+        ))].map(BigInt),
+        isApprovedForAll: async (token, owner, operator) => await call(token, "isApprovedForAll", [owner, operator]),
+        setApprovalForAll: (token, operator, approved, txOpts) => send(
+            token, "setApprovalForAll", [operator, approved], txOpts
+        ),
+        safeTransferFrom: (token, from, to, id, amount, data, txOpts) => send(
+            token, "safeTransferFrom", [from, to, BigInt(id), BigInt(amount), data ?? "0x"], txOpts
+        ),
+        safeBatchTransferFrom: (token, from, to, ids, amounts, data, txOpts) => send(
+            token, "safeBatchTransferFrom", [from, to, ids.map(BigInt), amounts.map(BigInt), data ?? "0x"], txOpts
+        ),
+    };
+}
+
+module.exports = {
+    makeErc20Helpers, makeErc721Helpers, makeErc1155Helpers
+}
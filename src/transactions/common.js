@@ -0,0 +1,79 @@
+/**
+ * Gets the hash of a transaction, given either the hash itself or
+ * any object having a `hash` property (e.g. the transaction handle
+ * returned by hre.common.send or hre.common.transfer).
+ * @param tx The transaction or hash.
+ * @returns {string} The transaction hash.
+ */
+function getTransactionHash(tx) {
+    if (typeof tx === "string") return tx;
+    if (tx && typeof tx.hash === "string") return tx.hash;
+    throw new Error("A transaction hash, or an object with a transaction hash, must be given");
+}
+
+/**
+ * Builds the common transaction handle, which is the same for both
+ * ethers and viem, from the backend-specific receipt getters.
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash.
+ * @param native The native result of sending the transaction.
+ * @param getReceipt An async function returning the normalized receipt
+ * or null if the transaction is not mined yet.
+ * @param waitForReceipt An async function taking (confirmations, timeout)
+ * and returning the normalized receipt after waiting for it (even if the
+ * transaction reverted). On timeout, it throws a TransactionError whose
+ * kind is "timeout".
+ * @returns {{hash, native, wait, receipt, logs}} The transaction handle.
+ */
+function makeTransaction(hre, hash, native, {getReceipt, waitForReceipt}) {
+    const tx = {
+        hash, native,
+        wait: async ({confirmations, timeout} = {}) => await waitForReceipt(
+            confirmations ?? 1, timeout
+        ),
+        receipt: async () => await getReceipt(),
+        logs: async (contract, eventName) => {
+            // The transaction must be mined before getting its logs.
+            await tx.wait();
+            return await hre.common.getTransactionLogs(contract, tx, eventName);
+        }
+    };
+    return tx;
+}
+
+/**
+ * Estimates the gas of a plain transaction, directly with the node.
+ * @param hre The hardhat runtime environment.
+ * @param request The transaction: {from, to, data, value}.
+ * @returns {Promise<bigint>} The estimated gas (async function).
+ */
+async function estimateTransactionGas(hre, {from, to, data, value}) {
+    const params = {from, to, data};
+    if (value !== undefined && value !== null) params.value = "0x" + BigInt(value).toString(16);
+    return BigInt(await hre.network.provider.request({method: "eth_estimateGas", params: [params]}));
+}
+
+/**
+ * Gets the revert data of a reverted transaction by tracing it.
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash.
+ * @returns {Promise<string|undefined>} The revert data, or undefined if the
+ * node does not support debug_traceTransaction (async function).
+ */
+async function traceRevertData(hre, hash) {
+    let trace;
+    try {
+        trace = await hre.network.provider.request({
+            method: "debug_traceTransaction",
+            params: [hash, {disableStack: true, disableMemory: true, disableStorage: true}]
+        });
+    } catch {
+        return undefined;
+    }
+    if (!trace || !trace.failed || typeof trace.returnValue !== "string") return undefined;
+    return trace.returnValue.startsWith("0x") ? trace.returnValue : "0x" + trace.returnValue;
+}
+
+module.exports = {
+    getTransactionHash, makeTransaction, estimateTransactionGas, traceRevertData
+}
@@ -0,0 +1,85 @@
+const {makeTransaction} = require("./common");
+const {TransactionError} = require("../errors/transaction");
+
+/**
+ * Normalizes a transaction receipt to a standard format, so it becomes
+ * a normal facade/adapter to the end user, although the `native` field
+ * will still remain specific.
+ * @param receipt The native receipt to normalize.
+ * @returns {{status, gasUsed, effectiveGasPrice, blockNumber, blockHash, transactionHash, transactionIndex, from, to, contractAddress, native}|null}
+ * The normalized receipt, where the status is "success" or "reverted". Returns null if no receipt is given.
+ */
+function normalizeReceipt(receipt) {
+    if (!receipt) return null;
+    return {
+        status: receipt.status === 1 ? "success" : "reverted",
+        gasUsed: BigInt(receipt.gasUsed),
+        effectiveGasPrice: BigInt(receipt.gasPrice),
+        blockNumber: BigInt(receipt.blockNumber),
+        blockHash: receipt.blockHash,
+        transactionHash: receipt.hash,
+        transactionIndex: receipt.index,
+        from: receipt.from,
+        to: receipt.to,
+        contractAddress: receipt.contractAddress,
+        native: receipt
+    };
+}
+
+/**
+ * Gets the normalized receipt of a transaction.
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash.
+ * @returns {Promise<*>} The normalized receipt, or null if the transaction
+ * is not mined yet (async function).
+ */
+async function getTransactionReceipt(hre, hash) {
+    return normalizeReceipt(await hre.ethers.provider.getTransactionReceipt(hash));
+}
+
+/**
+ * Wraps a transaction response into the common transaction handle.
+ * @param hre The hardhat runtime environment.
+ * @param response The transaction response, as returned by ethers.
+ * @returns {{hash, native, wait, receipt, logs}} The transaction handle.
+ */
+function wrapTransaction(hre, response) {
+    const hash = response.hash;
+    return makeTransaction(hre, hash, response, {
+        getReceipt: async () => await getTransactionReceipt(hre, hash),
+        waitForReceipt: async (confirmations, timeout) => {
+            try {
+                return normalizeReceipt(await response.wait(confirmations, timeout));
+            } catch (e) {
+                // Reverted transactions are still reported as receipts.
+                if (e.code === "CALL_EXCEPTION" && e.receipt) return normalizeReceipt(e.receipt);
+                if (e.code === "TIMEOUT") {
+                    throw new TransactionError(
+                        `Timed out while waiting for the transaction ${hash}`, {kind: "timeout", hash}
+                    );
+                }
+                throw e;
+            }
+        }
+    });
+}
+
+/**
+ * Sends a plain transaction from a signer.
+ * @param hre The hardhat runtime environment.
+ * @param signer The signer.
+ * @param request The transaction: {to, data, value, nonce, gas, gasPrice,
+ * maxFeePerGas, maxPriorityFeePerGas}.
+ * @returns {Promise<{hash, native, wait, receipt, logs}>} The transaction
+ * handle (async function).
+ */
+async function sendTransaction(hre, signer, request) {
+    const {to, data, value, nonce, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas} = request;
+    return wrapTransaction(hre, await signer.sendTransaction({
+        to, data, value, nonce, gasLimit: gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas
+    }));
+}
+
+module.exports = {
+    normalizeReceipt, getTransactionReceipt, wrapTransaction, sendTransaction
+}
@@ -0,0 +1,91 @@
+const {getAddress} = require("viem");
+const {makeTransaction} = require("./common");
+const {TransactionError} = require("../errors/transaction");
+
+/**
+ * Normalizes a transaction receipt to a standard format, so it becomes
+ * a normal facade/adapter to the end user, although the `native` field
+ * will still remain specific.
+ * @param receipt The native receipt to normalize.
+ * @returns {{status, gasUsed, effectiveGasPrice, blockNumber, blockHash, transactionHash, transactionIndex, from, to, contractAddress, native}|null}
+ * The normalized receipt, where the status is "success" or "reverted". Returns null if no receipt is given.
+ */
+function normalizeReceipt(receipt) {
+    if (!receipt) return null;
+    return {
+        status: receipt.status,
+        gasUsed: BigInt(receipt.gasUsed),
+        effectiveGasPrice: BigInt(receipt.effectiveGasPrice),
+        blockNumber: BigInt(receipt.blockNumber),
+        blockHash: receipt.blockHash,
+        transactionHash: receipt.transactionHash,
+        transactionIndex: receipt.transactionIndex,
+        from: getAddress(receipt.from),
+        to: receipt.to && getAddress(receipt.to),
+        contractAddress: receipt.contractAddress && getAddress(receipt.contractAddress),
+        native: receipt
+    };
+}
+
+/**
+ * Gets the normalized receipt of a transaction.
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash.
+ * @returns {Promise<*>} The normalized receipt, or null if the transaction
+ * is not mined yet (async function).
+ */
+async function getTransactionReceipt(hre, hash) {
+    const client = await hre.viem.getPublicClient();
+    try {
+        return normalizeReceipt(await client.getTransactionReceipt({hash}));
+    } catch (e) {
+        // Not mined yet.
+        if (e.name === "TransactionReceiptNotFoundError") return null;
+        throw e;
+    }
+}
+
+/**
+ * Wraps a transaction hash into the common transaction handle.
+ * @param hre The hardhat runtime environment.
+ * @param hash The transaction hash, as returned by viem.
+ * @returns {{hash, native, wait, receipt, logs}} The transaction handle.
+ */
+function wrapTransaction(hre, hash) {
+    return makeTransaction(hre, hash, hash, {
+        getReceipt: async () => await getTransactionReceipt(hre, hash),
+        waitForReceipt: async (confirmations, timeout) => {
+            const client = await hre.viem.getPublicClient();
+            try {
+                return normalizeReceipt(await client.waitForTransactionReceipt({hash, confirmations, timeout}));
+            } catch (e) {
+                if (e.name === "WaitForTransactionReceiptTimeoutError") {
+                    throw new TransactionError(
+                        `Timed out while waiting for the transaction ${hash}`, {kind: "timeout", hash}
+                    );
+                }
+                throw e;
+            }
+        }
+    });
+}
+
+/**
+ * Sends a plain transaction from a signer.
+ * @param hre The hardhat runtime environment.
+ * @param signer The signer (wallet client).
+ * @param request The transaction: {to, data, value, nonce, gas, gasPrice,
+ * maxFeePerGas, maxPriorityFeePerGas}.
+ * @returns {Promise<{hash, native, wait, receipt, logs}>} The transaction
+ * handle (async function).
+ */
+async function sendTransaction(hre, signer, request) {
+    const {to, data, value, nonce, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas} = request;
+    return wrapTransaction(hre, await signer.sendTransaction({
+        to, data, value, nonce, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas
+    }));
+}
+
+module.exports = {
+    normalizeReceipt, getTransactionReceipt, wrapTransaction, sendTransaction
+}
@@ -0,0 +1,147 @@
+const {getTransactionHash} = require("./common");
+const {TransactionError} = require("../errors/transaction");
+
+// The default interval (in milliseconds) between polls.
+const DEFAULT_POLLING_INTERVAL = 1000;
+
+// Sends a raw request to the node.
+async function request(hre, method, params) {
+    return await hre.network.provider.request({method, params});
+}
+
+// Waits for a given amount of milliseconds.
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Finds the mined transaction having a given sender and nonce. The
+// block is found by a binary search over the sender's transaction
+// count. Returns null if the node cannot tell (e.g. it has no
+// historical state).
+async function findMinedTransaction(hre, from, nonce) {
+    try {
+        let low = 0n;
+        let high = BigInt(await request(hre, "eth_blockNumber", []));
+        while (low < high) {
+            const middle = (low + high) / 2n;
+            const count = BigInt(await request(hre, "eth_getTransactionCount", [from, "0x" + middle.toString(16)]));
+            if (count > nonce) {
+                high = middle;
+            } else {
+                low = middle + 1n;
+            }
+        }
+        const block = await request(hre, "eth_getBlockByNumber", ["0x" + low.toString(16), true]);
+        return (block?.transactions || []).find((tx) => (
+            tx.from.toLowerCase() === from.toLowerCase() && BigInt(tx.nonce) === nonce
+        )) || null;
+    } catch {
+        return null;
+    }
+}
+
+// Tells whether a replacement transaction is the same one, only with
+// different fees (so it is still awaited).
+function isRepriced(original, replacement) {
+    return (original.to || "").toLowerCase() === (replacement.to || "").toLowerCase() &&
+        original.input === replacement.input && BigInt(original.value) === BigInt(replacement.value);
+}
+
+// Tells whether a replacement transaction is a cancellation: a
+// zero-value transfer to its own sender.
+function isCancellation(replacement) {
+    return (replacement.to || "").toLowerCase() === replacement.from.toLowerCase() &&
+        BigInt(replacement.value) === 0n && replacement.input === "0x";
+}
+
+// Gets the details (from, nonce, to, input, value) of a transaction from
+// its handle, when the native transaction has them (e.g. in ethers).
+function getHandleDetails(txOrHash) {
+    const native = txOrHash && txOrHash.native;
+    if (!native || typeof native !== "object" || !native.from || native.nonce === undefined) return null;
+    return {from: native.from, nonce: native.nonce, to: native.to, input: native.data, value: native.value ?? 0n};
+}
+
+/**
+ * Waits for a transaction to be mined and confirmed, by polling. When the
+ * nonce of the transaction is used by another transaction, it is detected
+ * as replaced or cancelled unless the other transaction is the same one with
+ * different fees (in that case, the other one is awaited instead). The replacement
+ * is detected as long as the details of the transaction are known, either by its
+ * handle or by the node (which might drop it once replaced). When the transaction
+ * is not known by the node at the first poll (and its handle has no details), it
+ * is considered not found. Otherwise, without a timeout, the wait is unbounded:
+ * a transaction dropped from the mempool (and whose nonce is not used) is
+ * awaited forever.
+ * @param hre The hardhat runtime environment.
+ * @param txOrHash The transaction (handle) or its hash.
+ * @param options The options: {confirmations, timeout, pollingInterval}. By
+ * default, 1 confirmation is awaited, no timeout (in milliseconds) is used, and
+ * the polling interval is 1000 milliseconds.
+ * @param getReceipt An async function getting the normalized receipt of a
+ * transaction hash, or null if the transaction is not mined yet.
+ * @returns {Promise<*>} The normalized receipt, whose status tells whether the
+ * transaction reverted (async function). A TransactionError is thrown if the
+ * transaction was not found, was replaced or cancelled, or timed out.
+ */
+async function waitForTransaction(hre, txOrHash, options, getReceipt) {
+    const {confirmations, timeout, pollingInterval} = options || {};
+    const originalHash = getTransactionHash(txOrHash);
+    const requiredConfirmations = BigInt(confirmations ?? 1);
+    const interval = pollingInterval ?? DEFAULT_POLLING_INTERVAL;
+    const deadline = timeout ? Date.now() + timeout : null;
+    let hash = originalHash;
+    // The node might drop a replaced transaction, so its details
+    // are taken from the handle, if possible.
+    let sent = getHandleDetails(txOrHash);
+    let firstPoll = true;
+
+    while (true) {
+        const receipt = await getReceipt(hash);
+        if (receipt) {
+            const blockNumber = BigInt(await request(hre, "eth_blockNumber", []));
+            // Reverted transactions are reported as receipts, like
+            // the wait() of the transaction handles.
+            if (blockNumber - receipt.blockNumber + 1n >= requiredConfirmations) return receipt;
+        } else {
+            sent ??= await request(hre, "eth_getTransactionByHash", [hash]);
+            if (!sent && firstPoll) {
+                throw new TransactionError(
+                    `The transaction ${hash} was not found`, {kind: "not-found", hash: originalHash}
+                );
+            }
+            // If the nonce is already used, but not by this transaction,
+            // then it was replaced.
+            if (sent) {
+                const nonce = BigInt(sent.nonce);
+                const count = BigInt(await request(hre, "eth_getTransactionCount", [sent.from, "latest"]));
+                if (count > nonce && !(await getReceipt(hash))) {
+                    const replacement = await findMinedTransaction(hre, sent.from, nonce);
+                    if (replacement && isRepriced(sent, replacement)) {
+                        hash = replacement.hash;
+                        continue;
+                    }
+                    const kind = replacement && isCancellation(replacement) ? "cancelled" : "replaced";
+                    throw new TransactionError(
+                        `The transaction ${originalHash} was ${kind} by ${replacement ? replacement.hash : "another transaction"}`,
+                        {
+                            kind, hash: originalHash, replacement: replacement && replacement.hash,
+                            receipt: replacement && await getReceipt(replacement.hash)
+                        }
+                    );
+                }
+            }
+        }
+        firstPoll = false;
+        if (deadline !== null && Date.now() >= deadline) {
+            throw new TransactionError(
+                `Timed out while waiting for the transaction ${hash}`, {kind: "timeout", hash: originalHash}
+            );
+        }
+        await sleep(deadline !== null ? Math.min(interval, Math.max(deadline - Date.now(), 0)) : interval);
+    }
+}
+
+module.exports = {
+    waitForTransaction
+}